@@ -0,0 +1,84 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Business profile - shop details printed on invoices and used for GST
+const gstin = (process.env.BUSINESS_GSTIN || '').toUpperCase();
+
+const business = {
+    name: process.env.BUSINESS_NAME || 'Sri Amman Steels & Electronics',
+    // Address lines are separated with | in the environment variable
+    address: (process.env.BUSINESS_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+    // City and pincode are needed separately for e-invoice and e-way bill JSON
+    city: process.env.BUSINESS_CITY || '',
+    pincode: process.env.BUSINESS_PINCODE || '',
+    phone: process.env.BUSINESS_PHONE || '',
+    email: process.env.BUSINESS_EMAIL || '',
+    gstin,
+    // Home state for GST, taken from the GSTIN when one is configured
+    stateCode: gstin ? gstin.substring(0, 2) : (process.env.BUSINESS_STATE_CODE || '33'),
+    // Billing counters with their own cash drawer, separated with |
+    counters: (process.env.BUSINESS_COUNTERS || 'Main').split('|').map(counter => counter.trim()).filter(Boolean),
+    // UPI ID for payment QR codes on receipts
+    upiId: process.env.BUSINESS_UPI_ID || '',
+    bank: {
+        name: process.env.BUSINESS_BANK_NAME || '',
+        accountNumber: process.env.BUSINESS_BANK_ACCOUNT || '',
+        ifsc: process.env.BUSINESS_BANK_IFSC || ''
+    },
+    // Prefixes for document number series: <prefix>/<financial year>/<sequence>
+    numberSeries: {
+        order: process.env.SERIES_PREFIX_ORDER || 'ORD',
+        invoice: process.env.SERIES_PREFIX_INVOICE || 'SAS',
+        credit_note: process.env.SERIES_PREFIX_CREDIT_NOTE || 'CN',
+        quotation: process.env.SERIES_PREFIX_QUOTATION || 'QTN',
+        receipt: process.env.SERIES_PREFIX_RECEIPT || 'RCP',
+        challan: process.env.SERIES_PREFIX_CHALLAN || 'DC',
+        service_ticket: process.env.SERIES_PREFIX_SERVICE_TICKET || 'SRV'
+    },
+    // Labour and other charges billed on service tickets: SAC code and GST rate
+    service: {
+        sac: process.env.SERVICE_SAC || '9987',
+        gstRate: Number(process.env.SERVICE_GST_RATE ?? 18)
+    },
+    // Days a quotation stays valid unless a date is given
+    quotationValidityDays: Number(process.env.QUOTATION_VALIDITY_DAYS) || 15,
+    invoiceTerms: process.env.BUSINESS_INVOICE_TERMS || 'Goods once sold will not be taken back or exchanged.',
+    quotationTerms: process.env.BUSINESS_QUOTATION_TERMS || 'Prices are valid until the date shown and subject to stock availability.',
+    // Thermal counter receipts: characters per line for each paper width (mm) in the printer's normal font
+    receipt: {
+        paper: process.env.RECEIPT_PAPER || '80',
+        columns: {
+            58: Number(process.env.RECEIPT_COLUMNS_58) || 32,
+            80: Number(process.env.RECEIPT_COLUMNS_80) || 48
+        },
+        footer: process.env.RECEIPT_FOOTER || 'Thank you! Visit again.'
+    },
+    // Ledger names for Tally XML exports; {rate} in a name is replaced with the GST rate, e.g. 'Sales @ {rate}%'
+    tally: {
+        company: process.env.TALLY_COMPANY || '',
+        ledgers: {
+            sales: process.env.TALLY_LEDGER_SALES || 'Sales',
+            purchase: process.env.TALLY_LEDGER_PURCHASE || 'Purchase',
+            cgst: process.env.TALLY_LEDGER_CGST || 'Output CGST',
+            sgst: process.env.TALLY_LEDGER_SGST || 'Output SGST',
+            igst: process.env.TALLY_LEDGER_IGST || 'Output IGST',
+            roundOff: process.env.TALLY_LEDGER_ROUND_OFF || 'Round Off',
+            cash: process.env.TALLY_LEDGER_CASH || 'Cash',
+            // UPI, card, cheque and bank transfers all land in the bank account
+            bank: process.env.TALLY_LEDGER_BANK || 'Bank',
+            // Party ledger for walk-in customers without an account or GSTIN
+            walkInCustomer: process.env.TALLY_LEDGER_WALK_IN || 'Cash Customers',
+            // Party ledger for stock-in without a supplier name
+            supplier: process.env.TALLY_LEDGER_SUPPLIER || 'Cash Purchases'
+        }
+    },
+    // Largest discount (percent of the bill) each role may give without approval
+    discountLimits: {
+        staff: Number(process.env.DISCOUNT_LIMIT_STAFF ?? 5),
+        admin: Number(process.env.DISCOUNT_LIMIT_ADMIN ?? 15),
+        super_admin: Number(process.env.DISCOUNT_LIMIT_SUPER_ADMIN ?? 100)
+    }
+};
+
+export default business;
@@ -90,18 +90,55 @@ export const PERMISSIONS = {
 
     // Stock management - super_admin and admin
     MANAGE_STOCK: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    OVERRIDE_STOCK: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
 
     // Order/Billing - all admin roles
     CREATE_ORDERS: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF],
     VIEW_ORDERS: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF],
+    APPROVE_DISCOUNTS: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    VOID_PAYMENTS: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    ISSUE_CREDIT_NOTES: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    // Take in and work on service and repair tickets
+    MANAGE_SERVICE: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF],
+    // Act on another staff member's cash drawer shift
+    MANAGE_SHIFTS: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+
+    // Customer credit terms and over-limit credit sales - super_admin and admin
+    MANAGE_CREDIT: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
 
     // Reports - super_admin and admin
     VIEW_REPORTS: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    // Record, edit and void shop expenses
+    MANAGE_EXPENSES: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
     VIEW_ALL_REPORTS: [ROLES.SUPER_ADMIN],
 
     // Sales - super_admin and admin
     VIEW_SALES: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+    // Export vouchers to the accounts package
+    EXPORT_ACCOUNTS: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
 
     // Full access
     FULL_ACCESS: [ROLES.SUPER_ADMIN]
 };
+
+// Billing without enough stock on hand needs an explicit override from an admin
+export const checkStockOverride = (req, res, next) => {
+    if (req.body.allowInsufficientStock && !PERMISSIONS.OVERRIDE_STOCK.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only admins can bill items without sufficient stock'
+        });
+    }
+    next();
+};
+
+// Credit sales past a customer's credit limit also need an admin to sign off
+export const checkCreditOverride = (req, res, next) => {
+    if (req.body.allowCreditOverride && !PERMISSIONS.MANAGE_CREDIT.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only admins can bill beyond a customer\'s credit limit'
+        });
+    }
+    next();
+};
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from './models/Order.js';
+import Payment from './models/Payment.js';
+
+dotenv.config();
+
+// Pass --dry-run to list the opening payments without writing anything
+const dryRun = process.argv.includes('--dry-run');
+
+// Orders billed before the payment ledger only stored a running amountPaid,
+// so each one gets a single opening payment for that amount
+const migratePayments = async () => {
+    try {
+        console.log(`💰 Building payment ledger from existing orders${dryRun ? ' (dry run)' : ''}...\n`);
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        const orders = await Order.find({ amountPaid: { $gt: 0 } });
+        let created = 0;
+
+        for (const order of orders) {
+            if (await Payment.exists({ order: order._id })) continue;
+
+            console.log(`✓ ${order.orderNumber}: ₹${order.amountPaid} (${order.paymentMethod})`);
+            created++;
+            if (dryRun) continue;
+
+            await Payment.create({
+                receiptNumber: `OPEN-${order.orderNumber}`,
+                order: order._id,
+                amount: order.amountPaid,
+                method: Payment.methodFromOrder(order.paymentMethod),
+                paidAt: order.createdAt,
+                notes: 'Opening balance from order',
+                collectedBy: order.processedBy || order.createdBy
+            });
+        }
+
+        console.log(`\n🎉 ${created} opening payments ${dryRun ? 'would be' : 'were'} created`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating payments:', error);
+        process.exit(1);
+    }
+};
+
+migratePayments();
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from './models/Product.js';
+import StockMovement from './models/StockMovement.js';
+import User from './models/User.js';
+
+dotenv.config();
+
+// Pass --dry-run to print the computed balances without writing anything
+const dryRun = process.argv.includes('--dry-run');
+
+// Historical movements only stored a quantity, so replay them the way the
+// old routes applied them: stock in and returns add, everything else removes.
+// Adjustments recorded since then carry their direction in their balances
+const INWARD_TYPES = ['stock_in', 'return'];
+const isInward = (movement) => INWARD_TYPES.includes(movement.type)
+    || (movement.type === 'adjustment' && movement.newStock > movement.previousStock);
+
+const migrateStockBalances = async () => {
+    try {
+        console.log(`📦 Building opening stock balances${dryRun ? ' (dry run)' : ''}...\n`);
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        // Opening balances are recorded against the first super admin (run seedAdmin.js first)
+        const admin = await User.findOne({ role: 'super_admin' }).sort({ createdAt: 1 });
+        if (!admin) throw new Error('No super admin found to record opening balances against');
+
+        const products = await Product.find();
+        let movementsUpdated = 0;
+        let openingBalances = 0;
+
+        for (const product of products) {
+            const movements = await StockMovement.find({ product: product._id }).sort({ createdAt: 1 });
+
+            // Products never moved keep their current quantity as an opening adjustment
+            if (!movements.length) {
+                const opening = product.stockQuantity || 0;
+                if (opening <= 0 && product.inStock) {
+                    console.log(`⚠ ${product.name} (${product.id}): marked in stock with no quantity; record a stock in for it`);
+                    continue;
+                }
+                console.log(`✓ ${product.name} (${product.id}): no movements → opening balance ${opening} ${product.unit}`);
+                if (opening > 0) {
+                    openingBalances++;
+                    if (!dryRun) {
+                        await StockMovement.create({
+                            product: product._id,
+                            type: 'adjustment',
+                            quantity: opening,
+                            previousStock: 0,
+                            newStock: opening,
+                            notes: 'Opening balance',
+                            createdBy: admin._id
+                        });
+                    }
+                }
+                continue;
+            }
+
+            // Replay the ledger, rewriting each entry with its true running balance
+            let balance = 0;
+            for (const movement of movements) {
+                const previousStock = balance;
+                balance = isInward(movement)
+                    ? balance + movement.quantity
+                    : Math.max(0, balance - movement.quantity);
+
+                if (movement.previousStock !== previousStock || movement.newStock !== balance) {
+                    movementsUpdated++;
+                    if (!dryRun) {
+                        await StockMovement.updateOne(
+                            { _id: movement._id },
+                            { previousStock, newStock: balance }
+                        );
+                    }
+                }
+            }
+
+            console.log(`✓ ${product.name} (${product.id}): ${movements.length} movements → ${balance} ${product.unit}`);
+
+            if (!dryRun) {
+                product.stockQuantity = balance;
+                await product.save();
+            }
+        }
+
+        console.log(`\n🎉 Processed ${products.length} products, ${movementsUpdated} ledger entries ${dryRun ? 'would be' : 'were'} corrected, ${openingBalances} opening balances ${dryRun ? 'would be' : 'were'} recorded`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating stock balances:', error);
+        process.exit(1);
+    }
+};
+
+migrateStockBalances();
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Price shown when the item was added, to flag changes before checkout
+    priceAtAdd: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [cartItemSchema]
+}, {
+    timestamps: true
+});
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import business from '../config/business.js';
+
+// One running sequence per document series per financial year
+const counterSchema = new mongoose.Schema({
+    series: {
+        type: String,
+        required: true,
+        enum: ['order', 'invoice', 'credit_note', 'quotation', 'receipt', 'challan', 'service_ticket']
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+counterSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+// India Standard Time is UTC+5:30 all year round
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Indian financial year (April - March) a date falls in, e.g. "25-26"
+// Worked out on the Indian calendar, so the year turns at midnight IST whatever the server's time zone
+counterSchema.statics.getFinancialYear = function (date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Atomically take the next number in a series, e.g. "SAS/25-26/0001"
+// Pass the caller's session so a rolled-back document gives its number back
+counterSchema.statics.next = async function (series, { session, date } = {}) {
+    const financialYear = this.getFinancialYear(date);
+    const counter = await this.findOneAndUpdate(
+        { series, financialYear },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+    );
+    const prefix = business.numberSeries[series] || series.toUpperCase();
+    return `${prefix}/${financialYear}/${String(counter.seq).padStart(4, '0')}`;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
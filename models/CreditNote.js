@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+const creditNoteItemSchema = new mongoose.Schema({
+    // The invoice line being returned
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Unset on returned service charges, as on the invoice line
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    productName: { type: String, required: true },
+    sku: { type: String },
+    hsnCode: { type: String },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    unit: { type: String, required: true },
+    // Units returned, for serial-tracked products; each was on the invoice line
+    serials: [{ type: String, uppercase: true, trim: true }],
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Share of the original line's discount for the returned quantity
+    discount: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, required: true, min: 0 },
+    gstRate: { type: Number, required: true },
+    cgstAmount: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    gstAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true },
+    // Damaged goods are written off instead of going back on the shelf
+    condition: {
+        type: String,
+        enum: ['resellable', 'damaged'],
+        default: 'resellable'
+    }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    invoiceNumber: {
+        type: String,
+        required: true
+    },
+    invoicedAt: {
+        type: Date
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    customer: {
+        name: { type: String, required: true },
+        phone: { type: String },
+        address: { type: String },
+        gstin: { type: String }
+    },
+    placeOfSupply: {
+        type: String
+    },
+    isInterState: {
+        type: Boolean,
+        default: false
+    },
+    items: [creditNoteItemSchema],
+    totalTaxableValue: { type: Number, default: 0, min: 0 },
+    totalGst: { type: Number, default: 0, min: 0 },
+    totalCgst: { type: Number, default: 0, min: 0 },
+    totalSgst: { type: Number, default: 0, min: 0 },
+    totalIgst: { type: Number, default: 0, min: 0 },
+    grandTotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        maxlength: 500
+    },
+    // adjust: reduces what the customer owes on the invoice; refund: money paid back
+    settlement: {
+        type: String,
+        enum: ['adjust', 'refund'],
+        required: true
+    },
+    refundPayment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+creditNoteSchema.index({ order: 1 });
+creditNoteSchema.index({ createdAt: -1 });
+
+// Quantities already credited per invoice line of an order
+creditNoteSchema.statics.getCreditedQuantities = async function (orderId, session) {
+    const rows = await this.aggregate([
+        { $match: { order: orderId } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.orderItem', quantity: { $sum: '$items.quantity' }, taxableValue: { $sum: '$items.taxableValue' }, discount: { $sum: '$items.discount' } } }
+    ]).session(session || null);
+    return new Map(rows.map(row => [String(row._id), row]));
+};
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+export default CreditNote;
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import Order from './Order.js';
+import { isValidGstin, roundCurrency } from '../utils/gst.js';
+
+const addressSchema = new mongoose.Schema({
+    label: { type: String, trim: true, maxlength: 50 },
+    address: { type: String, required: [true, 'Address is required'], trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    pincode: { type: String, trim: true, match: [/^\d{6}$/, 'Please enter a valid 6-digit pincode'] }
+}, { _id: true });
+
+const customerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: ['retail', 'contractor', 'dealer'],
+        default: 'retail'
+    },
+    phones: [{
+        type: String,
+        trim: true,
+        match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit Indian phone number']
+    }],
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        unique: true,
+        sparse: true,
+        // Blank GSTINs would collide on the unique index
+        set: (value) => value || undefined,
+        validate: [isValidGstin, 'Invalid GSTIN']
+    },
+    addresses: [addressSchema],
+    // Ledger name in Tally when it differs from the customer name
+    tallyLedger: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Tally ledger name cannot exceed 100 characters']
+    },
+    // Own price list; otherwise the list for the customer's type applies
+    priceList: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceList'
+    },
+    // Most the customer may owe across unpaid orders; 0 means no credit
+    creditLimit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Days after billing before an unpaid order counts as overdue
+    creditDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    notes: {
+        type: String,
+        maxlength: 1000
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+customerSchema.index({ phones: 1 });
+customerSchema.index({ name: 1 });
+
+// Find an active customer by GSTIN, falling back to any of their phone numbers
+customerSchema.statics.findByContact = async function ({ phone, gstin } = {}) {
+    if (gstin) {
+        const byGstin = await this.findOne({ gstin: String(gstin).toUpperCase().trim(), isActive: true });
+        if (byGstin) return byGstin;
+    }
+    if (phone) return this.findOne({ phones: String(phone).trim(), isActive: true });
+    return null;
+};
+
+// Unpaid amounts on live orders, per customer, with the part past each customer's credit days
+customerSchema.statics.getBalances = async function (customers, session) {
+    const list = Array.isArray(customers) ? customers : [customers];
+    const creditDays = new Map(list.map(c => [String(c._id), c.creditDays || 0]));
+
+    const orders = await Order.find({
+        customerId: { $in: list.map(c => c._id) },
+        status: { $nin: ['pending', 'draft', 'cancelled'] },
+        amountDue: { $gt: 0 }
+    }).select('customerId amountDue createdAt').session(session || null);
+
+    const balances = new Map(list.map(c => [String(c._id), { outstanding: 0, overdue: 0, unpaidOrders: 0 }]));
+    const now = Date.now();
+    orders.forEach(order => {
+        const id = String(order.customerId);
+        const balance = balances.get(id);
+        balance.outstanding += order.amountDue;
+        balance.unpaidOrders += 1;
+        if (now - order.createdAt.getTime() > creditDays.get(id) * 24 * 60 * 60 * 1000) balance.overdue += order.amountDue;
+    });
+    balances.forEach(balance => {
+        balance.outstanding = roundCurrency(balance.outstanding);
+        balance.overdue = roundCurrency(balance.overdue);
+    });
+
+    return Array.isArray(customers) ? balances : balances.get(String(customers._id));
+};
+
+// Customer details as they are copied onto an order
+customerSchema.methods.toOrderCustomer = function () {
+    const address = this.addresses[0];
+    return {
+        name: this.name,
+        phone: this.phones[0],
+        email: this.email,
+        address: address ? [address.address, address.city, address.pincode].filter(Boolean).join(', ') : undefined,
+        city: address?.city,
+        pincode: address?.pincode,
+        state: address?.state,
+        gstin: this.gstin
+    };
+};
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
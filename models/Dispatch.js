@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import CreditNote from './CreditNote.js';
+
+// Allowed status changes for a trip; failed trips are re-sent as a new dispatch
+export const DISPATCH_TRANSITIONS = {
+    scheduled: ['dispatched', 'failed'],
+    dispatched: ['delivered', 'failed'],
+    delivered: [],
+    failed: []
+};
+
+const dispatchItemSchema = new mongoose.Schema({
+    // The order line this trip carries part of
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: { type: String, required: true },
+    hsnCode: { type: String },
+    unit: { type: String, required: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    }
+}, { _id: false });
+
+const dispatchSchema = new mongoose.Schema({
+    challanNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    items: [dispatchItemSchema],
+    siteAddress: {
+        type: String,
+        required: [true, 'Site address is required'],
+        trim: true,
+        maxlength: 500
+    },
+    siteContact: {
+        name: { type: String, trim: true },
+        phone: { type: String, trim: true }
+    },
+    vehicleNumber: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    driver: {
+        name: { type: String, trim: true },
+        phone: { type: String, trim: true }
+    },
+    // Charges for this trip, recorded for costing; they are not added to the invoice
+    loadingCharges: { type: Number, default: 0, min: 0 },
+    unloadingCharges: { type: Number, default: 0, min: 0 },
+    status: {
+        type: String,
+        enum: Object.keys(DISPATCH_TRANSITIONS),
+        default: 'scheduled'
+    },
+    plannedAt: {
+        type: Date
+    },
+    dispatchedAt: {
+        type: Date
+    },
+    deliveredAt: {
+        type: Date
+    },
+    failedAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String,
+        maxlength: 500
+    },
+    receivedBy: {
+        type: String,
+        trim: true
+    },
+    // Photo uploaded through /api/images/upload
+    proofOfDelivery: {
+        url: { type: String },
+        publicId: { type: String },
+        uploadedAt: { type: Date }
+    },
+    notes: {
+        type: String,
+        maxlength: 500
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+dispatchSchema.index({ order: 1, createdAt: 1 });
+dispatchSchema.index({ status: 1, plannedAt: 1 });
+
+// Quantities per order line on trips that have not failed
+dispatchSchema.statics.getDispatchedQuantities = async function (orderId, { excludeId, status, session } = {}) {
+    const match = { order: orderId, status: status ? { $in: status } : { $ne: 'failed' } };
+    if (excludeId) match._id = { $ne: excludeId };
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.orderItem', quantity: { $sum: '$items.quantity' } } }
+    ]).session(session || null);
+    return new Map(rows.map(row => [String(row._id), row.quantity]));
+};
+
+// Units of each order line still to be sent: returns on credit notes are never delivered
+dispatchSchema.statics.getDispatchableQuantities = async function (order, { session } = {}) {
+    const [dispatched, credited] = await Promise.all([
+        this.getDispatchedQuantities(order._id, { session }),
+        CreditNote.getCreditedQuantities(order._id, session)
+    ]);
+    return new Map(order.items.map(item => [
+        String(item._id),
+        Math.max(0, item.quantity - (credited.get(String(item._id))?.quantity || 0) - (dispatched.get(String(item._id)) || 0))
+    ]));
+};
+
+// Derive an order's delivery status from the quantities delivered so far
+dispatchSchema.statics.syncOrder = async function (order, session) {
+    const [delivered, credited] = await Promise.all([
+        this.getDispatchedQuantities(order._id, { status: ['delivered'], session }),
+        CreditNote.getCreditedQuantities(order._id, session)
+    ]);
+    const deliveredItems = order.items.filter(item => (delivered.get(String(item._id)) || 0) + (credited.get(String(item._id))?.quantity || 0) >= item.quantity);
+    order.deliveryStatus = deliveredItems.length === order.items.length
+        ? 'delivered'
+        : delivered.size ? 'partial' : 'pending';
+    return order;
+};
+
+const Dispatch = mongoose.model('Dispatch', dispatchSchema);
+
+export default Dispatch;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+export const EXPENSE_CATEGORIES = [
+    'rent',
+    'wages',
+    'transport',
+    'electricity',
+    'hamali',
+    'maintenance',
+    'telephone',
+    'stationery',
+    'bank_charges',
+    'taxes_fees',
+    'other'
+];
+
+// Bills and receipts uploaded through /api/images/upload
+const attachmentSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    publicId: { type: String },
+    name: { type: String, trim: true, maxlength: 200 },
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+const expenseSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: [true, 'Expense date is required'],
+        default: Date.now
+    },
+    category: {
+        type: String,
+        enum: EXPENSE_CATEGORIES,
+        required: [true, 'Category is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    description: {
+        type: String,
+        required: [true, 'Description is required'],
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    paidTo: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Payee cannot exceed 100 characters']
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'upi', 'card', 'cheque', 'bank'],
+        default: 'cash'
+    },
+    referenceNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Reference number cannot exceed 100 characters']
+    },
+    attachments: [attachmentSchema],
+    // Expenses entered in error are voided rather than deleted
+    status: {
+        type: String,
+        enum: ['active', 'voided'],
+        default: 'active'
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidedAt: {
+        type: Date
+    },
+    voidReason: {
+        type: String,
+        maxlength: [500, 'Void reason cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+expenseSchema.index({ date: -1 });
+expenseSchema.index({ category: 1, date: -1 });
+
+const Expense = mongoose.model('Expense', expenseSchema);
+
+export default Expense;
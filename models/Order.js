@@ -1,10 +1,10 @@
 import mongoose from 'mongoose';
 
-const orderItemSchema = new mongoose.Schema({
+export const orderItemSchema = new mongoose.Schema({
+    // Unset on labour and other service charges, which are not stock
     product: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product',
-        required: true
+        ref: 'Product'
     },
     productName: { type: String, required: true },
     sku: { type: String, required: true },
@@ -14,20 +14,37 @@ const orderItemSchema = new mongoose.Schema({
         min: [1, 'Quantity must be at least 1']
     },
     unit: { type: String, required: true },
+    hsnCode: { type: String },
     unitPrice: {
         type: Number,
         required: true,
         min: 0
     },
+    // Serial numbers of the units sold, one per unit of serial-tracked products
+    serials: [{ type: String, uppercase: true, trim: true }],
+    // Price list and quantity slab the unit price came from; unset when billed at the product's price
+    priceList: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+    priceListName: { type: String },
+    priceSlab: { type: Number },
+    // Line discount as entered; discount holds the amount including the line's share of any bill discount
+    discountType: { type: String, enum: ['percent', 'flat'] },
+    discountValue: { type: Number, min: 0 },
     discount: {
         type: Number,
         default: 0,
         min: 0
     },
+    taxableValue: {
+        type: Number,
+        default: 0
+    },
     gstRate: {
         type: Number,
         default: 18
     },
+    cgstAmount: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
     gstAmount: {
         type: Number,
         default: 0
@@ -38,6 +55,27 @@ const orderItemSchema = new mongoose.Schema({
     }
 });
 
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, maxlength: 500 }
+}, { _id: false });
+
+// Allowed status transitions and the roles that may make each one
+const ALL_STAFF = ['super_admin', 'admin', 'staff'];
+const ADMINS_ONLY = ['super_admin', 'admin'];
+export const STATUS_TRANSITIONS = {
+    // Placed online and waiting for the counter to confirm
+    pending: { confirmed: ALL_STAFF, cancelled: ALL_STAFF },
+    draft: { confirmed: ALL_STAFF, cancelled: ALL_STAFF },
+    confirmed: { processing: ALL_STAFF, completed: ALL_STAFF, cancelled: ALL_STAFF },
+    processing: { completed: ALL_STAFF, cancelled: ALL_STAFF },
+    completed: { cancelled: ADMINS_ONLY },
+    cancelled: {}
+};
+
 const orderSchema = new mongoose.Schema({
     orderNumber: {
         type: String,
@@ -49,12 +87,44 @@ const orderSchema = new mongoose.Schema({
         unique: true,
         sparse: true
     },
+    // Where the order was placed; online orders come from a customer's cart,
+    // service ones bill a service ticket's charges at handover
+    channel: {
+        type: String,
+        enum: ['counter', 'online', 'service'],
+        default: 'counter'
+    },
+    serviceTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceTicket'
+    },
+    // Customer's login for online orders
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Customer account billed, if any; the details below are a copy as billed
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
     customer: {
         name: { type: String, required: [true, 'Customer name is required'] },
         phone: { type: String },
         email: { type: String },
         address: { type: String },
-        gstin: { type: String }
+        city: { type: String },
+        pincode: { type: String },
+        state: { type: String },
+        gstin: { type: String, uppercase: true, trim: true }
+    },
+    // Two-digit GST state code of the buyer; decides CGST+SGST vs IGST
+    placeOfSupply: {
+        type: String
+    },
+    isInterState: {
+        type: Boolean,
+        default: false
     },
     items: [orderItemSchema],
     subtotal: {
@@ -62,16 +132,38 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    orderDiscount: {
+        type: { type: String, enum: ['percent', 'flat'] },
+        value: { type: Number, min: 0 },
+        amount: { type: Number, min: 0 }
+    },
     totalDiscount: {
         type: Number,
         default: 0,
         min: 0
     },
+    // Discounts above the creator's limit keep the order in draft until approved
+    discountApproval: {
+        status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+        percent: { type: Number },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        decidedAt: { type: Date },
+        note: { type: String, maxlength: 500 }
+    },
+    totalTaxableValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     totalGst: {
         type: Number,
         default: 0,
         min: 0
     },
+    totalCgst: { type: Number, default: 0, min: 0 },
+    totalSgst: { type: Number, default: 0, min: 0 },
+    totalIgst: { type: Number, default: 0, min: 0 },
     grandTotal: {
         type: Number,
         required: true,
@@ -84,9 +176,21 @@ const orderSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'partial', 'paid'],
+        enum: ['pending', 'partial', 'paid', 'refunded'],
         default: 'pending'
     },
+    // Set once deliveries are scheduled; counter sales that are carried away have none
+    deliveryStatus: {
+        type: String,
+        enum: ['pending', 'partial', 'delivered']
+    },
+    // Total of credit notes issued against the invoice
+    totalCredited: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // amountPaid, amountDue and paymentStatus are derived from the Payment ledger
     amountPaid: {
         type: Number,
         default: 0,
@@ -99,9 +203,64 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['draft', 'confirmed', 'processing', 'completed', 'cancelled'],
+        enum: ['pending', 'draft', 'confirmed', 'processing', 'completed', 'cancelled'],
         default: 'draft'
     },
+    statusHistory: [statusHistorySchema],
+    invoicedAt: {
+        type: Date
+    },
+    invoicedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set once stock_out movements have been written for the line items
+    stockDeducted: {
+        type: Boolean,
+        default: false
+    },
+    // Quotation the order was converted from, if any
+    quotation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quotation'
+    },
+    // Details returned by the e-invoice and e-way bill portals once uploaded
+    eInvoice: {
+        irn: { type: String },
+        ackNo: { type: String },
+        ackDate: { type: Date },
+        signedQrCode: { type: String },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        recordedAt: { type: Date }
+    },
+    eWayBill: {
+        number: { type: String },
+        generatedAt: { type: Date },
+        validUpto: { type: Date },
+        vehicleNumber: { type: String, uppercase: true },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        recordedAt: { type: Date }
+    },
+    // Set once exported to Tally so the voucher isn't exported twice
+    tallyExport: {
+        batch: { type: String },
+        exportedAt: { type: Date }
+    },
+    stockOverrideBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    creditOverrideBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancellation: {
+        reason: { type: String, maxlength: 500 },
+        refundMode: { type: String, enum: ['full', 'partial', 'none'] },
+        refundAmount: { type: Number, min: 0 },
+        cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        cancelledAt: { type: Date }
+    },
     notes: {
         type: String,
         maxlength: 1000
@@ -125,25 +284,42 @@ orderSchema.index({ invoiceNumber: 1 });
 orderSchema.index({ 'customer.name': 'text', 'customer.phone': 'text' });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ customerId: 1, createdAt: -1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'tallyExport.batch': 1 }, { sparse: true });
+
+// Check whether a user may move the order to another status
+// Returns null when allowed, otherwise the HTTP status and reason
+orderSchema.methods.checkTransition = function (to, role) {
+    const allowed = STATUS_TRANSITIONS[this.status] || {};
+    if (!allowed[to]) {
+        return { status: 400, message: `Cannot change order status from ${this.status} to ${to}` };
+    }
+    if (!allowed[to].includes(role)) {
+        return { status: 403, message: `Only ${allowed[to].join(', ')} can change an order from ${this.status} to ${to}` };
+    }
+    if (to !== 'cancelled' && this.discountApproval?.status && this.discountApproval.status !== 'approved') {
+        return { status: 400, message: `Order discount is ${this.discountApproval.status === 'pending' ? 'awaiting approval' : 'rejected'}` };
+    }
+    return null;
+};
 
-// Generate order number
-orderSchema.statics.generateOrderNumber = async function () {
-    const today = new Date();
-    const prefix = `ORD${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}`;
-    const count = await this.countDocuments({
-        orderNumber: { $regex: `^${prefix}` }
-    });
-    return `${prefix}${String(count + 1).padStart(4, '0')}`;
+// Move the order to a new status and record the change in its history
+orderSchema.methods.setStatus = function (to, userId, note) {
+    this.statusHistory.push({ from: this.status, to, changedBy: userId, note });
+    this.status = to;
 };
 
-// Generate invoice number
-orderSchema.statics.generateInvoiceNumber = async function () {
-    const today = new Date();
-    const prefix = `INV${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}`;
-    const count = await this.countDocuments({
-        invoiceNumber: { $regex: `^${prefix}` }
-    });
-    return `${prefix}${String(count + 1).padStart(4, '0')}`;
+// Set the net amount received and derive what is still due
+orderSchema.methods.setAmountPaid = function (amountPaid) {
+    const cancelled = this.status === 'cancelled';
+    this.amountPaid = Math.round(amountPaid * 100) / 100;
+    // Nothing stays due on a cancelled order; unrefunded money is retained
+    // Credit notes settled against the invoice reduce what is payable
+    const payable = this.grandTotal - (this.totalCredited || 0);
+    this.amountDue = cancelled ? 0 : Math.max(0, Math.round((payable - this.amountPaid) * 100) / 100);
+    if (cancelled && this.cancellation?.refundAmount) this.paymentStatus = 'refunded';
+    else this.paymentStatus = this.amountPaid >= payable ? 'paid' : this.amountPaid > 0 ? 'partial' : 'pending';
 };
 
 const Order = mongoose.model('Order', orderSchema);
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Shift from './Shift.js';
+
+const paymentSchema = new mongoose.Schema({
+    receiptNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    // Service ticket whose charges were collected at handover; order is then its service invoice
+    serviceTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceTicket'
+    },
+    // Refunds are money paid back to the customer and reduce the amount received
+    type: {
+        type: String,
+        enum: ['payment', 'refund'],
+        default: 'payment'
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'upi', 'card', 'cheque', 'bank'],
+        required: [true, 'Payment method is required']
+    },
+    referenceNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Reference number cannot exceed 100 characters']
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Cash drawer shift the money went into, when the collector had one open
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift'
+    },
+    // Set once exported to Tally so the voucher isn't exported twice
+    tallyExport: {
+        batch: { type: String },
+        exportedAt: { type: Date }
+    },
+    // Set once the reversal of an exported entry that was later voided has gone to Tally
+    tallyReversal: {
+        batch: { type: String },
+        exportedAt: { type: Date }
+    },
+    status: {
+        type: String,
+        enum: ['active', 'voided'],
+        default: 'active'
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidedAt: {
+        type: Date
+    },
+    voidReason: {
+        type: String,
+        maxlength: [500, 'Void reason cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ order: 1, paidAt: 1 });
+paymentSchema.index({ paidAt: -1 });
+paymentSchema.index({ method: 1, paidAt: -1 });
+paymentSchema.index({ shift: 1 });
+paymentSchema.index({ 'tallyExport.batch': 1 }, { sparse: true });
+paymentSchema.index({ 'tallyReversal.batch': 1 }, { sparse: true });
+
+// Map an order's payment method onto a ledger payment method
+paymentSchema.statics.methodFromOrder = function (paymentMethod) {
+    if (paymentMethod === 'bank_transfer') return 'bank';
+    // Credit sales settled at the counter are usually paid in cash
+    if (paymentMethod === 'credit' || !paymentMethod) return 'cash';
+    return paymentMethod;
+};
+
+// Save a new ledger entry, numbering it from the receipt series in the same session.
+// Receipts are numbered by the day they are recorded, so a backdated paidAt never
+// takes a number in an earlier financial year's series
+// Cash is put into the collector's open shift so the drawer can be reconciled. The shift is
+// written as it is picked, so a close running at the same time conflicts with this payment
+// and the shift's closing totals never miss it
+paymentSchema.methods.saveWithNumber = async function (session) {
+    if (this.isNew) {
+        this.receiptNumber = await Counter.next('receipt', { session });
+        if (this.method === 'cash' && !this.shift) {
+            const shift = await Shift.findOneAndUpdate(
+                { openedBy: this.collectedBy, status: 'open' },
+                { $currentDate: { updatedAt: true } },
+                { session: session || null }
+            );
+            this.shift = shift?._id;
+        }
+    }
+    return this.save({ session });
+};
+
+// Derive an order's amount paid, amount due and payment status from its active ledger entries
+paymentSchema.statics.syncOrder = async function (order, session) {
+    const totals = await this.aggregate([
+        { $match: { order: order._id, status: 'active' } },
+        { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]).session(session || null);
+
+    const sum = (type) => totals.find(t => t._id === type)?.total || 0;
+    order.setAmountPaid(sum('payment') - sum('refund'));
+    return order;
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One entry per change to a product's selling price; future-dated changes wait as scheduled
+const priceChangeSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    // Price before the change, filled in when it takes effect; unset for a new product's first price
+    oldPrice: {
+        type: Number,
+        min: 0
+    },
+    newPrice: {
+        type: Number,
+        required: [true, 'New price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    effectiveFrom: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'applied', 'cancelled'],
+        default: 'applied'
+    },
+    source: {
+        type: String,
+        enum: ['create', 'manual', 'bulk'],
+        default: 'manual'
+    },
+    // Shared by every change made in one bulk update
+    batch: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    appliedAt: {
+        type: Date
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+priceChangeSchema.index({ product: 1, effectiveFrom: -1 });
+priceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+priceChangeSchema.index({ batch: 1 });
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+export default PriceChange;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+// A lower rate that applies from a minimum quantity upwards
+const slabSchema = new mongoose.Schema({
+    minQuantity: {
+        type: Number,
+        required: [true, 'Slab minimum quantity is required'],
+        min: [1, 'Slab minimum quantity must be at least 1']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Slab price is required'],
+        min: [0, 'Price cannot be negative']
+    }
+}, { _id: false });
+
+const priceListItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Rate below the first slab
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    slabs: [slabSchema]
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Price list name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Customer types the list applies to unless a customer has a list of their own
+    customerTypes: [{
+        type: String,
+        enum: ['retail', 'contractor', 'dealer']
+    }],
+    // Where several lists match a customer type, the highest priority wins
+    priority: {
+        type: Number,
+        default: 0
+    },
+    items: [priceListItemSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+priceListSchema.index({ customerTypes: 1, isActive: 1, priority: -1 });
+
+// Keep slabs in ascending order and refuse a product listed twice
+priceListSchema.pre('validate', function (next) {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.code = 'INVALID_PRICE_LIST';
+        return next(error);
+    };
+
+    const seen = new Set();
+    for (const item of this.items) {
+        const id = String(item.product);
+        if (seen.has(id)) return invalid(`Product ${id} appears more than once in the price list`);
+        seen.add(id);
+
+        item.slabs.sort((a, b) => a.minQuantity - b.minQuantity);
+        if (item.slabs.some((slab, index) => index && slab.minQuantity === item.slabs[index - 1].minQuantity)) {
+            return invalid(`Product ${id} has two slabs with the same minimum quantity`);
+        }
+    }
+    next();
+});
+
+// The list that prices a customer's bills: their own list, else the best list for their type
+// Walk-in buyers without an account are priced as retail
+priceListSchema.statics.findForCustomer = async function (account) {
+    if (account?.priceList) {
+        const own = await this.findOne({ _id: account.priceList, isActive: true });
+        if (own) return own;
+    }
+    return this.findOne({ customerTypes: account?.type || 'retail', isActive: true }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Rate for a quantity of a product on this list, or null when the list does not carry it
+// minQuantity is the slab used, or null for the list's base rate
+priceListSchema.methods.getPrice = function (productId, quantity) {
+    const item = this.items.find(i => String(i.product) === String(productId));
+    if (!item) return null;
+    const slab = item.slabs.filter(s => quantity >= s.minQuantity).pop();
+    return slab ? { price: slab.price, minQuantity: slab.minQuantity } : { price: item.price, minQuantity: null };
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+export default PriceList;
@@ -48,6 +48,16 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Unit is required'],
         trim: true
     },
+    hsnCode: {
+        type: String,
+        trim: true,
+        match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+    },
+    gstRate: {
+        type: Number,
+        enum: [0, 0.25, 3, 5, 12, 18, 28],
+        default: 18
+    },
     image: {
         type: String,
         required: [true, 'Image URL is required']
@@ -63,9 +73,31 @@ const productSchema = new mongoose.Schema({
         type: Map,
         of: String
     },
+    // Can only go negative when a sale is billed with an explicit stock override
+    stockQuantity: {
+        type: Number,
+        default: 0
+    },
+    reorderLevel: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reorder level cannot be negative']
+    },
+    // Serial-tracked products record a serial number for every unit received and sold
+    serialTracked: {
+        type: Boolean,
+        default: false
+    },
+    // Manufacturer warranty from the date of sale; 0 means none
+    warrantyMonths: {
+        type: Number,
+        default: 0,
+        min: [0, 'Warranty period cannot be negative']
+    },
+    // Derived from stockQuantity - kept as a field for filtering and indexes
     inStock: {
         type: Boolean,
-        default: true
+        default: false
     },
     reviews: [reviewSchema],
     createdAt: {
@@ -84,6 +116,12 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ category: 1, inStock: 1 });
 productSchema.index({ name: 'text', description: 'text' });
 
+// Keep inStock in sync with the on-hand quantity
+productSchema.pre('save', function (next) {
+    this.inStock = this.stockQuantity > 0;
+    next();
+});
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
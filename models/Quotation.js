@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { orderItemSchema } from './Order.js';
+
+// Allowed status changes; a quote becomes converted only through the convert endpoint
+export const QUOTATION_TRANSITIONS = {
+    draft: ['sent', 'accepted', 'rejected'],
+    sent: ['accepted', 'rejected'],
+    accepted: ['rejected'],
+    rejected: [],
+    converted: []
+};
+
+const quotationSchema = new mongoose.Schema({
+    quotationNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    customer: {
+        name: { type: String, required: [true, 'Customer name is required'] },
+        phone: { type: String },
+        email: { type: String },
+        address: { type: String },
+        city: { type: String },
+        pincode: { type: String },
+        state: { type: String },
+        gstin: { type: String, uppercase: true, trim: true }
+    },
+    placeOfSupply: {
+        type: String
+    },
+    isInterState: {
+        type: Boolean,
+        default: false
+    },
+    items: [orderItemSchema],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    orderDiscount: {
+        type: { type: String, enum: ['percent', 'flat'] },
+        value: { type: Number, min: 0 },
+        amount: { type: Number, min: 0 }
+    },
+    totalDiscount: { type: Number, default: 0, min: 0 },
+    totalTaxableValue: { type: Number, default: 0, min: 0 },
+    totalGst: { type: Number, default: 0, min: 0 },
+    totalCgst: { type: Number, default: 0, min: 0 },
+    totalSgst: { type: Number, default: 0, min: 0 },
+    totalIgst: { type: Number, default: 0, min: 0 },
+    grandTotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    validUntil: {
+        type: Date,
+        required: [true, 'Validity date is required']
+    },
+    status: {
+        type: String,
+        enum: Object.keys(QUOTATION_TRANSITIONS),
+        default: 'draft'
+    },
+    convertedOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    convertedAt: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        maxlength: 1000
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+quotationSchema.index({ status: 1, createdAt: -1 });
+quotationSchema.index({ customerId: 1, createdAt: -1 });
+
+// Past its validity date (end of that day)
+quotationSchema.virtual('isExpired').get(function () {
+    if (!this.validUntil) return false;
+    const end = new Date(this.validUntil);
+    end.setHours(23, 59, 59, 999);
+    return end < new Date();
+});
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+
+export default Quotation;
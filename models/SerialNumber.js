@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// One unit of a serial-tracked product, from stock-in through sale and warranty
+const serialNumberSchema = new mongoose.Schema({
+    serial: {
+        type: String,
+        required: [true, 'Serial number is required'],
+        uppercase: true,
+        trim: true,
+        maxlength: [60, 'Serial number cannot exceed 60 characters']
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // written_off: returned damaged and written off with the stock;
+    // replaced: swapped for a new unit on a service ticket, keeping its sale record
+    status: {
+        type: String,
+        enum: ['in_stock', 'sold', 'written_off', 'replaced'],
+        default: 'in_stock'
+    },
+    // Stock-in the unit arrived with; unset for units first recorded when sold
+    stockIn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockMovement'
+    },
+    receivedAt: {
+        type: Date
+    },
+    supplier: {
+        name: { type: String },
+        invoiceNo: { type: String }
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderNumber: {
+        type: String
+    },
+    // Set instead of order when the unit went out as a replacement on a service ticket
+    serviceTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceTicket'
+    },
+    soldAt: {
+        type: Date
+    },
+    // Copy of the buyer as billed, for warranty claims
+    customer: {
+        name: { type: String },
+        phone: { type: String }
+    },
+    // Warranty runs from the sale for the product's warranty period at the time
+    warrantyMonths: {
+        type: Number,
+        min: 0
+    },
+    warrantyStart: {
+        type: Date
+    },
+    warrantyEnd: {
+        type: Date
+    },
+    // Service ticket on which the unit was replaced; its warranty ends then
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceTicket'
+    },
+    replacedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// Serials are unique per product; different makes may reuse a number
+serialNumberSchema.index({ serial: 1, product: 1 }, { unique: true });
+serialNumberSchema.index({ product: 1, status: 1 });
+serialNumberSchema.index({ order: 1 });
+
+// Whether the unit is under warranty on a date
+serialNumberSchema.methods.isUnderWarranty = function (on = new Date()) {
+    return Boolean(this.warrantyEnd) && this.warrantyStart <= on && on <= this.warrantyEnd;
+};
+
+const SerialNumber = mongoose.model('SerialNumber', serialNumberSchema);
+
+export default SerialNumber;
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+
+// Allowed status changes for a ticket; diagnosis moves a received unit to diagnosed
+export const SERVICE_TRANSITIONS = {
+    received: ['diagnosed', 'cancelled'],
+    diagnosed: ['in_repair', 'at_manufacturer', 'ready', 'cancelled'],
+    in_repair: ['ready', 'at_manufacturer'],
+    at_manufacturer: ['in_repair', 'ready'],
+    ready: ['handed_over'],
+    handed_over: [],
+    cancelled: []
+};
+
+// Statuses in which the unit is still with the shop
+export const OPEN_SERVICE_STATUSES = ['received', 'diagnosed', 'in_repair', 'at_manufacturer', 'ready'];
+
+export const SERVICE_DECISIONS = ['repair', 'replace', 'manufacturer', 'reject'];
+
+// Photo uploaded through /api/images/upload
+const photoSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    publicId: { type: String },
+    caption: { type: String, trim: true, maxlength: 200 },
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Spare parts or a replacement unit taken from stock for the job
+const partSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: { type: String, required: true },
+    sku: { type: String, required: true },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    unit: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    serials: [{ type: String, uppercase: true, trim: true }],
+    // Parts for out-of-warranty work are charged to the customer
+    chargeable: { type: Boolean, default: false },
+    movement: { type: mongoose.Schema.Types.ObjectId, ref: 'StockMovement' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+});
+
+// Labour and other charges for out-of-warranty work
+const chargeSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: [true, 'Description is required'],
+        trim: true,
+        maxlength: 200
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+});
+
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, maxlength: 500 }
+}, { _id: false });
+
+const serviceTicketSchema = new mongoose.Schema({
+    ticketNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The unit brought in and where it was bought, when known
+    serial: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    serialNumber: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SerialNumber'
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    productName: {
+        type: String,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderNumber: {
+        type: String
+    },
+    customer: {
+        name: { type: String, required: [true, 'Customer name is required'], trim: true },
+        phone: { type: String, trim: true }
+    },
+    // Warranty cover on the day the unit was received
+    underWarranty: {
+        type: Boolean,
+        default: false
+    },
+    warrantyEnd: {
+        type: Date
+    },
+    intake: {
+        complaint: {
+            type: String,
+            required: [true, 'Complaint is required'],
+            trim: true,
+            maxlength: [1000, 'Complaint cannot exceed 1000 characters']
+        },
+        // Physical condition and accessories handed over with the unit
+        condition: { type: String, trim: true, maxlength: 1000 },
+        accessories: { type: String, trim: true, maxlength: 500 },
+        photos: [photoSchema],
+        receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        receivedAt: { type: Date, default: Date.now }
+    },
+    diagnosis: {
+        notes: { type: String, trim: true, maxlength: 2000 },
+        diagnosedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        diagnosedAt: { type: Date }
+    },
+    decision: {
+        type: { type: String, enum: SERVICE_DECISIONS },
+        note: { type: String, trim: true, maxlength: 1000 },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        decidedAt: { type: Date }
+    },
+    // Claim raised with the manufacturer when the unit is sent to them
+    manufacturerClaim: {
+        claimNumber: { type: String, trim: true },
+        sentAt: { type: Date },
+        returnedAt: { type: Date }
+    },
+    parts: [partSchema],
+    charges: [chargeSchema],
+    status: {
+        type: String,
+        enum: Object.keys(SERVICE_TRANSITIONS),
+        default: 'received'
+    },
+    statusHistory: [statusHistorySchema],
+    handover: {
+        amountCollected: { type: Number, min: 0 },
+        paymentMethod: { type: String, enum: ['cash', 'upi', 'card', 'cheque', 'bank'] },
+        note: { type: String, maxlength: 500 },
+        // Invoice for the chargeable parts and labour, and the receipt for what was collected
+        invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        invoiceNumber: { type: String },
+        payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+        handedOverBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        handedOverAt: { type: Date }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+serviceTicketSchema.index({ status: 1, 'intake.receivedAt': 1 });
+serviceTicketSchema.index({ serial: 1 });
+serviceTicketSchema.index({ order: 1 });
+serviceTicketSchema.index({ 'customer.phone': 1 });
+
+// Charges for the job before GST: chargeable parts plus labour, billed on a service invoice at handover
+serviceTicketSchema.methods.getTotals = function () {
+    const parts = this.parts.filter(p => p.chargeable).reduce((sum, p) => sum + p.unitPrice * p.quantity, 0);
+    const labour = this.charges.reduce((sum, c) => sum + c.amount, 0);
+    return {
+        parts: Math.round(parts * 100) / 100,
+        labour: Math.round(labour * 100) / 100,
+        total: Math.round((parts + labour) * 100) / 100
+    };
+};
+
+// Move the ticket to a new status and record the change in its history
+serviceTicketSchema.methods.setStatus = function (to, userId, note) {
+    this.statusHistory.push({ from: this.status, to, changedBy: userId, note });
+    this.status = to;
+};
+
+const ServiceTicket = mongoose.model('ServiceTicket', serviceTicketSchema);
+
+export default ServiceTicket;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+// Cash put into or taken out of the drawer other than through sales
+const cashMovementSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['in', 'out'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    reason: {
+        type: String,
+        enum: ['petty_expense', 'bank_deposit', 'float_top_up', 'owner_drawing', 'other'],
+        required: [true, 'Reason is required']
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const shiftSchema = new mongoose.Schema({
+    counter: {
+        type: String,
+        required: [true, 'Counter is required'],
+        trim: true
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    openingFloat: {
+        type: Number,
+        required: [true, 'Opening float is required'],
+        min: [0, 'Opening float cannot be negative']
+    },
+    cashMovements: [cashMovementSchema],
+    // Closed shifts are locked; their figures are kept as they were at closing
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: {
+        type: Date
+    },
+    // Cash the drawer should hold, worked out at closing
+    expected: {
+        openingFloat: { type: Number },
+        cashSales: { type: Number },
+        cashRefunds: { type: Number },
+        cashIn: { type: Number },
+        cashOut: { type: Number },
+        cash: { type: Number },
+        payments: { type: Number }
+    },
+    countedCash: {
+        type: Number,
+        min: [0, 'Counted cash cannot be negative']
+    },
+    // Counted minus expected: negative is a shortage, positive an excess
+    difference: {
+        type: Number
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// One open shift per counter and per staff member
+shiftSchema.index({ counter: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ openedBy: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ closedAt: -1 });
+shiftSchema.index({ openedAt: -1 });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+export default Shift;
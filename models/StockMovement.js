@@ -25,7 +25,7 @@ const stockMovementSchema = new mongoose.Schema({
         required: true
     },
     reference: {
-        type: { type: String, enum: ['purchase', 'sale', 'manual', 'order'] },
+        type: { type: String, enum: ['purchase', 'sale', 'manual', 'order', 'credit_note', 'service_ticket'] },
         id: { type: mongoose.Schema.Types.ObjectId }
     },
     unitPrice: {
@@ -40,6 +40,11 @@ const stockMovementSchema = new mongoose.Schema({
         name: { type: String },
         invoiceNo: { type: String }
     },
+    // Set once exported to Tally so the voucher isn't exported twice
+    tallyExport: {
+        batch: { type: String },
+        exportedAt: { type: Date }
+    },
     notes: {
         type: String,
         maxlength: [500, 'Notes cannot exceed 500 characters']
@@ -57,6 +62,7 @@ const stockMovementSchema = new mongoose.Schema({
 stockMovementSchema.index({ product: 1, createdAt: -1 });
 stockMovementSchema.index({ type: 1 });
 stockMovementSchema.index({ createdAt: -1 });
+stockMovementSchema.index({ 'tallyExport.batch': 1 }, { sparse: true });
 
 const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
 
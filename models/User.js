@@ -22,6 +22,11 @@ const userSchema = new mongoose.Schema({
         trim: true,
         match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit Indian phone number']
     },
+    // Only a verified email is used to find a customer's past counter bills
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
     password: {
         type: String,
         minlength: [6, 'Password must be at least 6 characters'],
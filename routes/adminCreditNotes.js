@@ -0,0 +1,309 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult, query } from 'express-validator';
+import Counter from '../models/Counter.js';
+import CreditNote from '../models/CreditNote.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { reverseOrderItem, roundCurrency } from '../utils/gst.js';
+import { normaliseSerials, restockSerials, writeOffSerials } from '../utils/serials.js';
+import { receiveCreditNoteStock } from '../utils/stock.js';
+import { createPdfResponse, renderCreditNote } from '../utils/pdf.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const TOTAL_FIELDS = ['totalTaxableValue', 'totalGst', 'totalCgst', 'totalSgst', 'totalIgst', 'grandTotal'];
+
+// A return that doesn't fit what is left on the invoice; thrown inside the transaction
+const returnError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_RETURN';
+    return error;
+};
+
+// @route   GET /api/admin/credit-notes
+// @desc    List credit notes, optionally for one order or a date range
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.order) filter.order = req.query.order;
+        if (req.query.customerId) filter.customerId = req.query.customerId;
+        if (req.query.startDate || req.query.endDate) {
+            filter.createdAt = {};
+            if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+        }
+
+        const [creditNotes, total] = await Promise.all([
+            CreditNote.find(filter)
+                .populate('createdBy', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            CreditNote.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                creditNotes,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get credit notes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/credit-notes/:id
+// @desc    Get single credit note
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findById(req.params.id)
+            .populate('createdBy', 'name')
+            .populate('refundPayment', 'receiptNumber method amount status');
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Credit note not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: creditNote
+        });
+    } catch (error) {
+        console.error('Get credit note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/credit-notes/:id/credit-note.pdf
+// @desc    Printable GST credit note
+// @access  Private (all admin roles)
+router.get('/:id/credit-note.pdf', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findById(req.params.id).populate('refundPayment', 'receiptNumber method');
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Credit note not found'
+            });
+        }
+
+        const doc = createPdfResponse(res, `${creditNote.creditNoteNumber}.pdf`);
+        renderCreditNote(doc, creditNote);
+        doc.end();
+    } catch (error) {
+        console.error('Credit note PDF error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+});
+
+// @route   POST /api/admin/credit-notes
+// @desc    Issue a credit note for goods returned against an invoice
+// @access  Private (admin, super_admin)
+router.post('/', authorize(...PERMISSIONS.ISSUE_CREDIT_NOTES), [
+    body('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one returned item is required'),
+    body('items.*.itemId').isMongoId().withMessage('Valid invoice line is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.condition').optional().isIn(['resellable', 'damaged']),
+    body('items.*.serials').optional().isArray().withMessage('Serials must be a list'),
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+    body('settlement').isIn(['adjust', 'refund']).withMessage('Settlement must be adjust or refund'),
+    body('refundMethod').optional().isIn(Payment.schema.path('method').enumValues)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { orderId, items, reason, settlement, refundMethod = 'cash' } = req.body;
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!order.invoiceNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Credit notes can only be issued against an invoiced order'
+            });
+        }
+
+        if (new Set(items.map(i => i.itemId)).size !== items.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each invoice line can only appear once'
+            });
+        }
+
+        // Lines can be returned in several credit notes, up to the quantity invoiced
+        for (const { itemId } of items) {
+            if (!order.items.id(itemId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invoice line not found: ${itemId}`
+                });
+            }
+        }
+
+        // The note, its stock movements, any refund and the order's balance are saved together.
+        // Quantities already credited and the balance are read inside the transaction, so two
+        // notes issued at once cannot both return the same units
+        let creditNote;
+        let invoice;
+        await mongoose.connection.transaction(async (session) => {
+            invoice = await Order.findById(order._id).session(session);
+            const credited = await CreditNote.getCreditedQuantities(invoice._id, session);
+            const lines = items.map(({ itemId, quantity, condition, serials: given }) => {
+                const item = invoice.items.id(itemId);
+                const already = credited.get(String(item._id)) || {};
+                const remaining = item.quantity - (already.quantity || 0);
+                if (quantity > remaining) throw returnError(`Only ${remaining} ${item.unit} of ${item.productName} can still be returned`);
+
+                // Serial-tracked lines name the units coming back, which must be units sold on this line
+                const serials = normaliseSerials(given);
+                if (item.serials?.length || serials.length) {
+                    if (new Set(serials).size !== serials.length || serials.length !== quantity) {
+                        throw returnError(`${item.productName} needs ${quantity} serial number(s), one per unit returned`);
+                    }
+                    const unknown = serials.filter(serial => !item.serials?.includes(serial));
+                    if (unknown.length) throw returnError(`Not sold on this invoice line: ${unknown.join(', ')}`);
+                }
+
+                return {
+                    orderItem: item._id,
+                    product: item.product,
+                    productName: item.productName,
+                    sku: item.sku,
+                    hsnCode: item.hsnCode,
+                    quantity,
+                    unit: item.unit,
+                    serials: serials.length ? serials : undefined,
+                    unitPrice: item.unitPrice,
+                    gstRate: item.gstRate,
+                    ...reverseOrderItem(item, quantity, already, invoice.isInterState),
+                    condition
+                };
+            });
+
+            const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+            lines.forEach(line => {
+                totals.totalTaxableValue += line.taxableValue;
+                totals.totalGst += line.gstAmount;
+                totals.totalCgst += line.cgstAmount;
+                totals.totalSgst += line.sgstAmount;
+                totals.totalIgst += line.igstAmount;
+                totals.grandTotal += line.totalAmount;
+            });
+            TOTAL_FIELDS.forEach(field => { totals[field] = roundCurrency(totals[field]); });
+
+            // Adjustments can only reduce what is still owed; beyond that the money has to be refunded
+            if (settlement === 'adjust' && totals.grandTotal > invoice.amountDue) {
+                throw returnError(`Only ${invoice.amountDue} is outstanding on this invoice. Refund the credit instead.`);
+            }
+            if (settlement === 'refund' && totals.grandTotal > invoice.amountPaid) {
+                throw returnError(`Refund cannot exceed the ${invoice.amountPaid} received on this invoice`);
+            }
+
+            creditNote = new CreditNote({
+                order: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                invoicedAt: invoice.invoicedAt,
+                customerId: invoice.customerId,
+                customer: { name: invoice.customer.name, phone: invoice.customer.phone, address: invoice.customer.address, gstin: invoice.customer.gstin },
+                placeOfSupply: invoice.placeOfSupply,
+                isInterState: invoice.isInterState,
+                items: lines,
+                ...totals,
+                reason,
+                settlement,
+                createdBy: req.user._id
+            });
+            creditNote.creditNoteNumber = await Counter.next('credit_note', { session });
+            await receiveCreditNoteStock(creditNote, { createdBy: req.user._id, session });
+            // Returned units leave the buyer's warranty; damaged ones are written off like their stock
+            for (const line of lines.filter(l => l.serials)) {
+                const release = line.condition === 'damaged' ? writeOffSerials : restockSerials;
+                const result = await release({ product: line.product, serial: { $in: line.serials }, order: invoice._id }, session);
+                if (result.modifiedCount !== line.serials.length) {
+                    throw returnError(`Some of these ${line.productName} serial numbers have already been returned`);
+                }
+            }
+            if (settlement === 'refund') {
+                const refund = new Payment({ order: invoice._id, type: 'refund', amount: totals.grandTotal, method: refundMethod, collectedBy: req.user._id });
+                refund.notes = `Credit note ${creditNote.creditNoteNumber}: ${reason}`;
+                await refund.saveWithNumber(session);
+                creditNote.refundPayment = refund._id;
+            }
+            await creditNote.save({ session });
+            invoice.totalCredited = roundCurrency((invoice.totalCredited || 0) + totals.grandTotal);
+            await Payment.syncOrder(invoice, session);
+            await invoice.save({ session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Credit note issued successfully',
+            data: { creditNote, order: invoice }
+        });
+    } catch (error) {
+        if (['INSUFFICIENT_STOCK', 'INVALID_RETURN'].includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Create credit note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
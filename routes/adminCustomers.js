@@ -0,0 +1,277 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Customer from '../models/Customer.js';
+import Order from '../models/Order.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { isValidGstin } from '../utils/gst.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const customerValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
+    body('type').optional().isIn(['retail', 'contractor', 'dealer']).withMessage('Invalid customer type'),
+    body('phones').optional().isArray().withMessage('Phones must be a list'),
+    body('phones.*').trim().matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit Indian phone number'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please enter a valid email'),
+    body('gstin').optional({ values: 'falsy' }).custom(isValidGstin).withMessage('Invalid GSTIN'),
+    body('addresses').optional().isArray().withMessage('Addresses must be a list'),
+    body('addresses.*.address').trim().notEmpty().withMessage('Address is required'),
+    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit cannot be negative'),
+    body('creditDays').optional().isInt({ min: 0 }).withMessage('Credit days cannot be negative'),
+    body('priceList').optional({ values: 'null' }).isMongoId().withMessage('Invalid price list'),
+    body('tallyLedger').optional().trim().isLength({ max: 100 }),
+    body('notes').optional().isLength({ max: 1000 })
+];
+
+const EDITABLE_FIELDS = ['name', 'type', 'phones', 'email', 'gstin', 'addresses', 'tallyLedger', 'notes'];
+const CREDIT_FIELDS = ['creditLimit', 'creditDays', 'priceList'];
+
+// Only admins may set credit terms or a customer's own price list
+const canManageCredit = (req) => PERMISSIONS.MANAGE_CREDIT.includes(req.user.role);
+const touchesCredit = (req) => CREDIT_FIELDS.some(field => req.body[field] !== undefined);
+
+// @route   GET /api/admin/customers
+// @desc    Get all customers with pagination and balances
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('type').optional().isIn(['retail', 'contractor', 'dealer']),
+    query('status').optional().isIn(['active', 'inactive'])
+], async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.status) filter.isActive = req.query.status === 'active';
+        if (req.query.search) {
+            filter.$or = [
+                { name: { $regex: req.query.search, $options: 'i' } },
+                { phones: { $regex: req.query.search, $options: 'i' } },
+                { gstin: { $regex: req.query.search, $options: 'i' } }
+            ];
+        }
+
+        const [customers, total] = await Promise.all([
+            Customer.find(filter)
+                .sort({ name: 1 })
+                .skip(skip)
+                .limit(limit),
+            Customer.countDocuments(filter)
+        ]);
+
+        const balances = await Customer.getBalances(customers);
+
+        res.json({
+            success: true,
+            data: {
+                customers: customers.map(c => ({ ...c.toObject(), balance: balances.get(String(c._id)) })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get customers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/customers/lookup
+// @desc    Find a customer by phone or GSTIN at billing time
+// @access  Private (all admin roles)
+router.get('/lookup', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const { phone, gstin } = req.query;
+        if (!phone && !gstin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone or GSTIN is required'
+            });
+        }
+
+        const customer = await Customer.findByContact({ phone, gstin });
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const balance = await Customer.getBalances(customer);
+
+        res.json({
+            success: true,
+            data: {
+                customer,
+                balance,
+                availableCredit: Math.max(0, customer.creditLimit - balance.outstanding)
+            }
+        });
+    } catch (error) {
+        console.error('Customer lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/customers/:id
+// @desc    Get a customer with their balance and recent orders
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id).populate('createdBy', 'name');
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const [balance, recentOrders] = await Promise.all([
+            Customer.getBalances(customer),
+            Order.find({ customerId: customer._id })
+                .select('orderNumber invoiceNumber status paymentStatus grandTotal amountDue createdAt')
+                .sort({ createdAt: -1 })
+                .limit(10)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                customer,
+                balance,
+                availableCredit: Math.max(0, customer.creditLimit - balance.outstanding),
+                recentOrders
+            }
+        });
+    } catch (error) {
+        console.error('Get customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/customers
+// @desc    Create a customer
+// @access  Private (all admin roles; credit terms admin only)
+router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('name').trim().notEmpty().withMessage('Customer name is required'),
+    ...customerValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (touchesCredit(req) && !canManageCredit(req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can set credit terms or price lists'
+            });
+        }
+
+        const fields = [...EDITABLE_FIELDS, ...CREDIT_FIELDS].filter(field => req.body[field] !== undefined);
+        const customer = await Customer.create({
+            ...Object.fromEntries(fields.map(field => [field, req.body[field]])),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Customer created successfully',
+            data: customer
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer with this GSTIN already exists'
+            });
+        }
+        console.error('Create customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/customers/:id
+// @desc    Update a customer
+// @access  Private (all admin roles; credit terms and deactivation admin only)
+router.put('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    ...customerValidation,
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if ((touchesCredit(req) || req.body.isActive !== undefined) && !canManageCredit(req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can change credit terms, price lists or deactivate customers'
+            });
+        }
+
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        [...EDITABLE_FIELDS, ...CREDIT_FIELDS, 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) customer[field] = req.body[field];
+        });
+        await customer.save();
+
+        res.json({
+            success: true,
+            message: 'Customer updated successfully',
+            data: customer
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer with this GSTIN already exists'
+            });
+        }
+        console.error('Update customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,443 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult, query } from 'express-validator';
+import Counter from '../models/Counter.js';
+import Dispatch, { DISPATCH_TRANSITIONS } from '../models/Dispatch.js';
+import Order from '../models/Order.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { STOCK_COMMITTED_STATUSES } from '../utils/orders.js';
+import { createPdfResponse, renderDeliveryChallan } from '../utils/pdf.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const tripValidation = [
+    body('siteAddress').optional().trim().notEmpty().withMessage('Site address cannot be empty'),
+    body('siteContact.phone').optional({ values: 'falsy' }).matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit phone number'),
+    body('vehicleNumber').optional().trim().isLength({ max: 20 }),
+    body('driver.name').optional().trim(),
+    body('driver.phone').optional({ values: 'falsy' }).matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit phone number'),
+    body('loadingCharges').optional().isFloat({ min: 0 }).withMessage('Loading charges cannot be negative'),
+    body('unloadingCharges').optional().isFloat({ min: 0 }).withMessage('Unloading charges cannot be negative'),
+    body('plannedAt').optional().isISO8601().withMessage('Invalid planned time'),
+    body('notes').optional().isLength({ max: 500 })
+];
+
+// A trip that doesn't fit what is left to send; thrown inside the transaction
+const dispatchError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_DISPATCH';
+    return error;
+};
+
+const TRIP_FIELDS = ['siteAddress', 'siteContact', 'vehicleNumber', 'driver', 'loadingCharges', 'unloadingCharges', 'plannedAt', 'notes'];
+
+const proofValidation = [
+    body('proofOfDelivery.url').optional().isURL().withMessage('Invalid proof of delivery URL'),
+    body('proofOfDelivery.publicId').optional().isString()
+];
+
+// Save a trip and re-derive its order's delivery status together
+const saveDispatchAndSyncOrder = async (dispatch) => {
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+        await dispatch.save({ session });
+        order = await Order.findById(dispatch.order).session(session);
+        await Dispatch.syncOrder(order, session);
+        await order.save({ session });
+    });
+    return order;
+};
+
+// @route   GET /api/admin/dispatches
+// @desc    List dispatches, e.g. today's scheduled trips or one order's deliveries
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('status').optional().isIn(Object.keys(DISPATCH_TRANSITIONS))
+], async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.order) filter.order = req.query.order;
+        if (req.query.vehicleNumber) filter.vehicleNumber = req.query.vehicleNumber.toUpperCase();
+        if (req.query.startDate || req.query.endDate) {
+            filter.plannedAt = {};
+            if (req.query.startDate) filter.plannedAt.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.plannedAt.$lte = new Date(req.query.endDate);
+        }
+
+        const [dispatches, total] = await Promise.all([
+            Dispatch.find(filter)
+                .populate('order', 'orderNumber invoiceNumber customer.name customer.phone')
+                .sort({ plannedAt: 1, createdAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Dispatch.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                dispatches,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get dispatches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/dispatches/:id
+// @desc    Get single dispatch
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const dispatch = await Dispatch.findById(req.params.id)
+            .populate('order', 'orderNumber invoiceNumber customer deliveryStatus')
+            .populate('createdBy updatedBy', 'name');
+
+        if (!dispatch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispatch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: dispatch
+        });
+    } catch (error) {
+        console.error('Get dispatch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/dispatches/:id/challan.pdf
+// @desc    Printable delivery challan
+// @access  Private (all admin roles)
+router.get('/:id/challan.pdf', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const dispatch = await Dispatch.findById(req.params.id);
+        if (!dispatch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispatch not found'
+            });
+        }
+
+        const order = await Order.findById(dispatch.order);
+        const doc = createPdfResponse(res, `${dispatch.challanNumber}.pdf`);
+        renderDeliveryChallan(doc, dispatch, order);
+        doc.end();
+    } catch (error) {
+        console.error('Delivery challan error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+});
+
+// @route   POST /api/admin/dispatches
+// @desc    Schedule a delivery trip for all or part of an order
+// @access  Private (all admin roles)
+router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.itemId').isMongoId().withMessage('Valid order line is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    ...tripValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findById(req.body.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!STOCK_COMMITTED_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot dispatch a ${order.status} order`
+            });
+        }
+
+        for (const { itemId } of req.body.items || []) {
+            if (!order.items.id(itemId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Order line not found: ${itemId}`
+                });
+            }
+        }
+
+        const siteAddress = req.body.siteAddress || order.customer.address;
+        if (!siteAddress) {
+            return res.status(400).json({
+                success: false,
+                message: 'Site address is required'
+            });
+        }
+
+        const dispatch = new Dispatch({
+            ...Object.fromEntries(TRIP_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+            order: order._id,
+            siteAddress,
+            createdBy: req.user._id
+        });
+
+        // What is left to send is read inside the transaction, and the order is written every time,
+        // so two trips scheduled at once conflict and the retry sees the first one.
+        // Challans are numbered in the same transaction so a failed save leaves no gap
+        await mongoose.connection.transaction(async (session) => {
+            const current = await Order.findById(order._id).session(session);
+            const dispatchable = await Dispatch.getDispatchableQuantities(current, { session });
+            // Without a list of items the trip carries everything still to be sent
+            const requested = req.body.items || current.items
+                .map(item => ({ itemId: String(item._id), quantity: dispatchable.get(String(item._id)) }))
+                .filter(item => item.quantity > 0);
+            if (!requested.length) throw dispatchError('All items on this order have already been dispatched or returned');
+
+            dispatch.items = requested.map(({ itemId, quantity }) => {
+                const item = current.items.id(itemId);
+                const remaining = dispatchable.get(String(item._id));
+                if (quantity > remaining) throw dispatchError(`Only ${remaining} ${item.unit} of ${item.productName} is left to dispatch`);
+                return { orderItem: item._id, product: item.product, productName: item.productName, hsnCode: item.hsnCode, unit: item.unit, quantity };
+            });
+
+            dispatch.challanNumber = await Counter.next('challan', { session });
+            await dispatch.save({ session });
+            if (!current.deliveryStatus) current.deliveryStatus = 'pending';
+            current.increment();
+            await current.save({ session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Dispatch scheduled successfully',
+            data: dispatch
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_DISPATCH') {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Create dispatch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/dispatches/:id
+// @desc    Update trip details (vehicle, driver, charges, timing)
+// @access  Private (all admin roles)
+router.put('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), tripValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const dispatch = await Dispatch.findById(req.params.id);
+        if (!dispatch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispatch not found'
+            });
+        }
+
+        if (!DISPATCH_TRANSITIONS[dispatch.status].length) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit a ${dispatch.status} dispatch`
+            });
+        }
+
+        TRIP_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) dispatch[field] = req.body[field];
+        });
+        dispatch.updatedBy = req.user._id;
+        await dispatch.save();
+
+        res.json({
+            success: true,
+            message: 'Dispatch updated successfully',
+            data: dispatch
+        });
+    } catch (error) {
+        console.error('Update dispatch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/dispatches/:id/status
+// @desc    Mark a trip dispatched, delivered (with proof of delivery) or failed
+// @access  Private (all admin roles)
+router.put('/:id/status', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('status').isIn(Object.keys(DISPATCH_TRANSITIONS)).withMessage('Invalid status'),
+    body('at').optional().isISO8601().withMessage('Invalid time'),
+    body('failureReason').optional().isLength({ max: 500 }),
+    body('receivedBy').optional().trim(),
+    ...proofValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const dispatch = await Dispatch.findById(req.params.id);
+        if (!dispatch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispatch not found'
+            });
+        }
+
+        const { status, at, failureReason, receivedBy, proofOfDelivery } = req.body;
+        if (!DISPATCH_TRANSITIONS[dispatch.status].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change a ${dispatch.status} dispatch to ${status}`
+            });
+        }
+
+        if (status === 'failed' && !failureReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failure reason is required'
+            });
+        }
+
+        const time = at ? new Date(at) : new Date();
+        dispatch.status = status;
+        if (status === 'dispatched') dispatch.dispatchedAt = time;
+        if (status === 'delivered') {
+            // Trips marked delivered without being marked dispatched left at the same time
+            dispatch.dispatchedAt = dispatch.dispatchedAt || time;
+            dispatch.deliveredAt = time;
+            if (receivedBy) dispatch.receivedBy = receivedBy;
+            if (proofOfDelivery?.url) dispatch.proofOfDelivery = { ...proofOfDelivery, uploadedAt: new Date() };
+        }
+        if (status === 'failed') {
+            dispatch.failedAt = time;
+            dispatch.failureReason = failureReason;
+        }
+        dispatch.updatedBy = req.user._id;
+
+        const order = await saveDispatchAndSyncOrder(dispatch);
+
+        res.json({
+            success: true,
+            message: `Dispatch marked ${status}`,
+            data: { dispatch, deliveryStatus: order.deliveryStatus }
+        });
+    } catch (error) {
+        console.error('Update dispatch status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/dispatches/:id/proof-of-delivery
+// @desc    Attach a proof of delivery photo uploaded through /api/images/upload
+// @access  Private (all admin roles)
+router.put('/:id/proof-of-delivery', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('proofOfDelivery.url').isURL().withMessage('Proof of delivery URL is required'),
+    body('proofOfDelivery.publicId').optional().isString(),
+    body('receivedBy').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const dispatch = await Dispatch.findById(req.params.id);
+        if (!dispatch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dispatch not found'
+            });
+        }
+
+        if (dispatch.status !== 'delivered') {
+            return res.status(400).json({
+                success: false,
+                message: 'Proof of delivery can only be attached to a delivered dispatch'
+            });
+        }
+
+        dispatch.proofOfDelivery = { ...req.body.proofOfDelivery, uploadedAt: new Date() };
+        if (req.body.receivedBy) dispatch.receivedBy = req.body.receivedBy;
+        dispatch.updatedBy = req.user._id;
+        await dispatch.save();
+
+        res.json({
+            success: true,
+            message: 'Proof of delivery attached',
+            data: dispatch
+        });
+    } catch (error) {
+        console.error('Proof of delivery error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
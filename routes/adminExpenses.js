@@ -0,0 +1,261 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Expense, { EXPENSE_CATEGORIES } from '../models/Expense.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { roundCurrency } from '../utils/gst.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const expenseValidation = [
+    body('date').optional().isISO8601().withMessage('Invalid expense date'),
+    body('category').optional().isIn(EXPENSE_CATEGORIES).withMessage('Invalid category'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('description').optional().trim().notEmpty().isLength({ max: 500 }).withMessage('Description cannot be empty'),
+    body('paidTo').optional().trim().isLength({ max: 100 }),
+    body('paymentMethod').optional().isIn(Expense.schema.path('paymentMethod').enumValues).withMessage('Invalid payment method'),
+    body('referenceNumber').optional().trim().isLength({ max: 100 }),
+    body('attachments').optional().isArray().withMessage('Attachments must be a list'),
+    body('attachments.*.url').isURL().withMessage('Attachment URL is required'),
+    body('attachments.*.publicId').optional().isString()
+];
+
+const EDITABLE_FIELDS = ['date', 'category', 'amount', 'description', 'paidTo', 'paymentMethod', 'referenceNumber', 'attachments'];
+
+// @route   GET /api/admin/expenses
+// @desc    List expenses with totals for the filter
+// @access  Private (admin, super_admin)
+router.get('/', authorize(...PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = { status: req.query.status || 'active' };
+        if (req.query.category) filter.category = req.query.category;
+        if (req.query.paymentMethod) filter.paymentMethod = req.query.paymentMethod;
+        if (req.query.startDate || req.query.endDate) {
+            filter.date = {};
+            if (req.query.startDate) filter.date.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.date.$lte = new Date(req.query.endDate);
+        }
+        if (req.query.search) {
+            filter.$or = [
+                { description: { $regex: req.query.search, $options: 'i' } },
+                { paidTo: { $regex: req.query.search, $options: 'i' } }
+            ];
+        }
+
+        const [expenses, total, byCategory] = await Promise.all([
+            Expense.find(filter)
+                .populate('createdBy', 'name')
+                .sort({ date: -1 })
+                .skip(skip)
+                .limit(limit),
+            Expense.countDocuments(filter),
+            Expense.aggregate([
+                { $match: filter },
+                { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+                { $sort: { total: -1 } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                expenses,
+                totals: {
+                    amount: roundCurrency(byCategory.reduce((sum, c) => sum + c.total, 0)),
+                    byCategory
+                },
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get expenses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/expenses/:id
+// @desc    Get a single expense
+// @access  Private (admin, super_admin)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+    try {
+        const expense = await Expense.findById(req.params.id).populate('createdBy updatedBy voidedBy', 'name');
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: expense
+        });
+    } catch (error) {
+        console.error('Get expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/expenses
+// @desc    Record an expense
+// @access  Private (admin, super_admin)
+router.post('/', authorize(...PERMISSIONS.MANAGE_EXPENSES), [
+    body('category').exists().withMessage('Category is required'),
+    body('amount').exists().withMessage('Amount is required'),
+    body('description').exists().withMessage('Description is required'),
+    ...expenseValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        // Bank, UPI, card and cheque payments carry a reference to reconcile against
+        if (req.body.paymentMethod && req.body.paymentMethod !== 'cash' && !req.body.referenceNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reference number is required for non-cash expenses'
+            });
+        }
+
+        const fields = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+        const expense = await Expense.create({
+            ...Object.fromEntries(fields.map(field => [field, req.body[field]])),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Expense recorded successfully',
+            data: expense
+        });
+    } catch (error) {
+        console.error('Create expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/expenses/:id
+// @desc    Update an expense or its attachments
+// @access  Private (admin, super_admin)
+router.put('/:id', authorize(...PERMISSIONS.MANAGE_EXPENSES), expenseValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const expense = await Expense.findById(req.params.id);
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (expense.status === 'voided') {
+            return res.status(400).json({
+                success: false,
+                message: 'Voided expenses cannot be changed'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) expense[field] = req.body[field];
+        });
+        expense.updatedBy = req.user._id;
+        await expense.save();
+
+        res.json({
+            success: true,
+            message: 'Expense updated successfully',
+            data: expense
+        });
+    } catch (error) {
+        console.error('Update expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/expenses/:id/void
+// @desc    Void an expense recorded in error
+// @access  Private (admin, super_admin)
+router.post('/:id/void', authorize(...PERMISSIONS.MANAGE_EXPENSES), [
+    body('reason').trim().notEmpty().withMessage('Void reason is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const expense = await Expense.findById(req.params.id);
+        if (!expense) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expense not found'
+            });
+        }
+
+        if (expense.status === 'voided') {
+            return res.status(400).json({
+                success: false,
+                message: 'Expense is already voided'
+            });
+        }
+
+        expense.status = 'voided';
+        expense.voidedBy = req.user._id;
+        expense.voidedAt = new Date();
+        expense.voidReason = req.body.reason;
+        await expense.save();
+
+        res.json({
+            success: true,
+            message: 'Expense voided successfully',
+            data: expense
+        });
+    } catch (error) {
+        console.error('Void expense error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
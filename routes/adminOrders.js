@@ -1,29 +1,50 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import CreditNote from '../models/CreditNote.js';
+import Customer from '../models/Customer.js';
+import Dispatch from '../models/Dispatch.js';
 import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import PriceList from '../models/PriceList.js';
 import Product from '../models/Product.js';
-import StockMovement from '../models/StockMovement.js';
-import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { authenticate, authorize, checkCreditOverride, checkStockOverride, PERMISSIONS } from '../middleware/auth.js';
+import { calculateOrderTotals, isValidGstin } from '../utils/gst.js';
+import { buildOrderFilter, buildOrderSort, checkCreditLimit, checkDiscountLimit, ORDER_ERROR_CODES, ORDER_SORT_FIELDS, resolveCustomer, resolveOrderLines, saveOrder } from '../utils/orders.js';
+import { streamOrdersCsv, streamOrdersXlsx } from '../utils/orderExport.js';
+import { checkSerialCount, normaliseSerials } from '../utils/serials.js';
+import { buildEInvoice, buildEWayBill, EWAY_BILL_THRESHOLD } from '../utils/einvoice.js';
+import { createPdfResponse, renderInvoice } from '../utils/pdf.js';
+import { buildReceipt, getReceiptColumns, renderReceiptEscPos, renderReceiptText } from '../utils/receipt.js';
+import business from '../config/business.js';
 
 const router = express.Router();
 router.use(authenticate);
 
-// GET /api/admin/orders - Get all orders
-router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+// Filters shared by the order list and the export; see buildOrderFilter
+const orderFilterValidation = [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('dateField').optional().isIn(['createdAt', 'invoicedAt']).withMessage('dateField must be createdAt or invoicedAt'),
+    query('customerId').optional().isMongoId().withMessage('Invalid customer'),
+    query('channel').optional().isIn(Order.schema.path('channel').enumValues).withMessage(`Channel must be one of: ${Order.schema.path('channel').enumValues.join(', ')}`),
+    query('createdBy').optional().isMongoId().withMessage('Invalid user'),
+    query('minAmount').optional().isFloat({ min: 0 }).withMessage('Invalid minimum amount'),
+    query('maxAmount').optional().isFloat({ min: 0 }).withMessage('Invalid maximum amount'),
+    query('invoiced').optional().isIn(['true', 'false']).withMessage('invoiced must be true or false'),
+    query('sort').optional().custom(value => Object.hasOwn(ORDER_SORT_FIELDS, value.replace(/^-/, ''))).withMessage(`Sort must be one of: ${Object.keys(ORDER_SORT_FIELDS).join(', ')}`)
+];
+
+// GET /api/admin/orders - Get orders matching the filters (dates, payment, customer, amount, staff, invoiced, product), sorted by ?sort=[-]field
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), orderFilterValidation, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
         const skip = (page - 1) * limit;
-        const filter = {};
-        if (req.query.status) filter.status = req.query.status;
-        if (req.query.search) {
-            filter.$or = [
-                { orderNumber: { $regex: req.query.search, $options: 'i' } },
-                { 'customer.name': { $regex: req.query.search, $options: 'i' } }
-            ];
-        }
+        const filter = buildOrderFilter(req.query);
         const [orders, total] = await Promise.all([
-            Order.find(filter).populate('createdBy', 'name').sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Order.find(filter).populate('createdBy', 'name').sort(buildOrderSort(req.query.sort)).skip(skip).limit(limit),
             Order.countDocuments(filter)
         ]);
         res.json({ success: true, data: { orders, pagination: { page, limit, total, pages: Math.ceil(total / limit) } } });
@@ -32,6 +53,30 @@ router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
     }
 });
 
+// GET /api/admin/orders/export?format=csv|xlsx - Stream orders matching the list filters as a spreadsheet
+router.get('/export', authorize(...PERMISSIONS.VIEW_REPORTS), [
+    ...orderFilterValidation,
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const cursor = Order.find(buildOrderFilter(req.query))
+            .select('-statusHistory')
+            .populate('createdBy', 'name')
+            .sort(buildOrderSort(req.query.sort))
+            .lean()
+            .cursor({ batchSize: 200 });
+        const filename = `orders-${new Date().toISOString().slice(0, 10)}`;
+        await (req.query.format === 'xlsx' ? streamOrdersXlsx : streamOrdersCsv)(cursor, res, filename);
+    } catch (error) {
+        console.error('Export orders error:', error);
+        // Once rows have gone out the only thing left to do is cut the download short
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 // GET /api/admin/orders/stats
 router.get('/stats', authorize(...PERMISSIONS.VIEW_REPORTS), async (req, res) => {
     try {
@@ -59,65 +104,335 @@ router.get('/:id', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
     }
 });
 
-// POST /api/admin/orders - Create order
-router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), [
-    body('customer.name').trim().notEmpty(),
-    body('items').isArray({ min: 1 })
+// GET /api/admin/orders/:id/invoice.pdf - Printable GST tax invoice
+router.get('/:id/invoice.pdf', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (!order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice has not been generated for this order' });
+        const doc = createPdfResponse(res, `${order.invoiceNumber}.pdf`);
+        renderInvoice(doc, order);
+        doc.end();
+    } catch (error) {
+        console.error('Invoice PDF error:', error);
+        if (!res.headersSent) res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/orders/:id/receipt - Thermal counter receipt as ESC/POS bytes or fixed-width text (?format=escpos|text&paper=58|80)
+router.get('/:id/receipt', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('format').optional().isIn(['escpos', 'text']),
+    query('paper').optional().isIn(Object.keys(business.receipt.columns))
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
-        const { customer, items, paymentMethod, notes, amountPaid } = req.body;
-        const orderNumber = await Order.generateOrderNumber();
-        let subtotal = 0, totalGst = 0;
-        const processedItems = [];
-        for (const item of items) {
-            const product = await Product.findOne({ id: item.productId });
-            if (!product) return res.status(400).json({ success: false, message: `Product not found: ${item.productId}` });
-            const itemTotal = product.price * item.quantity;
-            const gst = (itemTotal * 18) / 100;
-            processedItems.push({ product: product._id, productName: product.name, sku: product.id, quantity: item.quantity, unit: product.unit, unitPrice: product.price, discount: 0, gstRate: 18, gstAmount: gst, totalAmount: itemTotal + gst });
-            subtotal += itemTotal;
-            totalGst += gst;
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (order.status === 'cancelled') return res.status(400).json({ success: false, message: 'Cannot print a receipt for a cancelled order' });
+        const width = getReceiptColumns(req.query.paper);
+        const lines = buildReceipt(order, width);
+        const filename = (order.invoiceNumber || order.orderNumber).replace(/[^\w.-]+/g, '-');
+        if (req.query.format === 'escpos') {
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.bin"`);
+            return res.type('application/octet-stream').send(renderReceiptEscPos(lines, width));
         }
-        const grandTotal = subtotal + totalGst;
-        const paid = amountPaid || 0;
-        const order = new Order({ orderNumber, customer, items: processedItems, subtotal, totalDiscount: 0, totalGst, grandTotal, paymentMethod: paymentMethod || 'cash', paymentStatus: paid >= grandTotal ? 'paid' : paid > 0 ? 'partial' : 'pending', amountPaid: paid, amountDue: grandTotal - paid, status: 'confirmed', notes, createdBy: req.user._id });
-        await order.save();
+        res.type('text/plain; charset=utf-8').send(renderReceiptText(lines, width));
+    } catch (error) {
+        console.error('Receipt error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/orders/:id/timeline - Status, payment and invoice events in order
+router.get('/:id/timeline', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('createdBy statusHistory.changedBy invoicedBy discountApproval.decidedBy eInvoice.recordedBy eWayBill.recordedBy', 'name');
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        const [payments, creditNotes, dispatches] = await Promise.all([
+            Payment.find({ order: order._id }).populate('collectedBy voidedBy', 'name'),
+            CreditNote.find({ order: order._id }).populate('createdBy', 'name'),
+            Dispatch.find({ order: order._id })
+        ]);
+        const events = [];
+        // Orders created before status history was kept only have their creation date
+        if (!order.statusHistory.length) events.push({ type: 'status', at: order.createdAt, to: 'created', by: order.createdBy });
+        order.statusHistory.forEach(h => events.push({ type: 'status', at: h.changedAt, from: h.from, to: h.to, by: h.changedBy, note: h.note }));
+        payments.forEach(p => {
+            events.push({ type: p.type, at: p.paidAt, amount: p.amount, method: p.method, receiptNumber: p.receiptNumber, referenceNumber: p.referenceNumber, by: p.collectedBy });
+            if (p.status === 'voided') events.push({ type: `${p.type}_voided`, at: p.voidedAt, amount: p.amount, receiptNumber: p.receiptNumber, by: p.voidedBy, note: p.voidReason });
+        });
+        if (order.invoiceNumber) events.push({ type: 'invoice', at: order.invoicedAt || order.updatedAt, invoiceNumber: order.invoiceNumber, by: order.invoicedBy });
+        if (order.eInvoice?.irn) events.push({ type: 'e_invoice', at: order.eInvoice.ackDate || order.eInvoice.recordedAt, irn: order.eInvoice.irn, ackNo: order.eInvoice.ackNo, by: order.eInvoice.recordedBy });
+        if (order.eWayBill?.number) events.push({ type: 'e_way_bill', at: order.eWayBill.generatedAt || order.eWayBill.recordedAt, ewayBillNumber: order.eWayBill.number, validUpto: order.eWayBill.validUpto, by: order.eWayBill.recordedBy });
+        creditNotes.forEach(c => events.push({ type: 'credit_note', at: c.createdAt, amount: c.grandTotal, creditNoteNumber: c.creditNoteNumber, settlement: c.settlement, by: c.createdBy, note: c.reason }));
+        dispatches.forEach(d => {
+            const trip = { challanNumber: d.challanNumber, vehicleNumber: d.vehicleNumber };
+            events.push({ type: 'dispatch_scheduled', at: d.createdAt, ...trip, plannedAt: d.plannedAt });
+            if (d.dispatchedAt) events.push({ type: 'dispatched', at: d.dispatchedAt, ...trip });
+            if (d.deliveredAt) events.push({ type: 'delivered', at: d.deliveredAt, ...trip, receivedBy: d.receivedBy });
+            if (d.failedAt) events.push({ type: 'delivery_failed', at: d.failedAt, ...trip, note: d.failureReason });
+        });
+        if (order.discountApproval?.decidedAt) events.push({ type: 'discount', at: order.discountApproval.decidedAt, status: order.discountApproval.status, percent: order.discountApproval.percent, by: order.discountApproval.decidedBy, note: order.discountApproval.note });
+        events.sort((a, b) => new Date(a.at) - new Date(b.at));
+        res.json({ success: true, data: { orderNumber: order.orderNumber, status: order.status, paymentStatus: order.paymentStatus, events } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/admin/orders - Create order
+router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), checkStockOverride, checkCreditOverride, [
+    body('customerId').optional().isMongoId(),
+    body('customer.name').if(body('customerId').not().exists()).trim().notEmpty(),
+    body('customer.gstin').optional({ values: 'falsy' }).custom(isValidGstin).withMessage('Invalid GSTIN'),
+    body('customer.pincode').optional({ values: 'falsy' }).matches(/^[1-9]\d{5}$/).withMessage('Invalid pincode'),
+    body('items').isArray({ min: 1 }),
+    body('items.*.discount.type').optional().isIn(['percent', 'flat']),
+    body('orderDiscount.type').optional().isIn(['percent', 'flat']),
+    body('status').optional().isIn(['draft', 'confirmed']),
+    body('allowInsufficientStock').optional().isBoolean(),
+    body('requestDiscountApproval').optional().isBoolean(),
+    body('allowCreditOverride').optional().isBoolean(),
+    body('amountPaid').optional().isFloat({ min: 0 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const { customerId, customer = {}, items, orderDiscount, paymentMethod, paymentReference, notes, amountPaid, status, allowInsufficientStock, requestDiscountApproval, allowCreditOverride } = req.body;
+        const { account, billedCustomer } = await resolveCustomer(customerId, customer);
+        // Customer's price list rates, by quantity slab, replace the product price where listed
+        const lines = await resolveOrderLines(items, await PriceList.findForCustomer(account));
+        // Per-product GST rates on the discounted value, split CGST+SGST or IGST by the buyer's state
+        const billing = calculateOrderTotals(lines, billedCustomer, orderDiscount);
+        // Discounts beyond the user's limit are refused, or held in draft for an admin to approve
+        const { discountPercent, discountLimit, overLimit } = checkDiscountLimit(billing, req.user.role);
+        if (overLimit && !requestDiscountApproval) return res.status(403).json({ success: false, code: 'DISCOUNT_LIMIT', message: `Discount of ${discountPercent}% exceeds your limit of ${discountLimit}%. Request approval to save it as a draft.` });
+        const paid = Number(amountPaid) || 0;
+        if (paid > billing.grandTotal) return res.status(400).json({ success: false, message: 'Amount paid cannot exceed the bill total' });
+        // Unpaid credit sales count against the customer's credit limit
+        const credit = paymentMethod === 'credit' ? await checkCreditLimit(account, billing.grandTotal - paid) : {};
+        if (credit.overLimit && !allowCreditOverride) return res.status(403).json({ success: false, code: 'CREDIT_LIMIT', message: `This bill takes the amount owed to ${credit.exposure}, over the credit limit of ${credit.creditLimit}`, data: { outstanding: credit.outstanding, creditLimit: credit.creditLimit } });
+        const initialStatus = overLimit ? 'draft' : status || 'confirmed';
+        const discountApproval = overLimit ? { status: 'pending', percent: discountPercent, requestedBy: req.user._id } : undefined;
+        const order = new Order({ customerId: account?._id, customer: billedCustomer, ...billing, creditOverrideBy: credit.overLimit ? req.user._id : undefined, discountApproval, paymentMethod: paymentMethod || 'cash', amountDue: billing.grandTotal, status: initialStatus, statusHistory: [{ to: initialStatus, changedBy: req.user._id, note: overLimit ? 'Order created, discount awaiting approval' : 'Order created' }], notes, createdBy: req.user._id });
+        // Money taken at the counter goes into the payment ledger with the order
+        const payments = paid > 0 ? [new Payment({ order: order._id, amount: paid, method: Payment.methodFromOrder(order.paymentMethod), referenceNumber: paymentReference, collectedBy: req.user._id })] : [];
+        await saveOrder(order, req.user, { allowInsufficientStock, payments });
         res.status(201).json({ success: true, message: 'Order created', data: order });
     } catch (error) {
+        if (ORDER_ERROR_CODES.includes(error.code)) return res.status(400).json({ success: false, code: error.code, message: error.message });
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 // PUT /api/admin/orders/:id
-router.put('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), async (req, res) => {
+router.put('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), checkStockOverride, [
+    body('customerId').optional().isMongoId(),
+    body('cancelReason').optional().isString(),
+    body('refundMode').optional().isIn(['full', 'partial', 'none']),
+    body('refundAmount').optional().isFloat({ min: 0 }),
+    body('refundMethod').optional().isIn(Payment.schema.path('method').enumValues),
+    body('itemSerials').optional().isArray(),
+    body('itemSerials.*.itemId').isMongoId(),
+    body('itemSerials.*.serials').isArray(),
+    body('amountPaid').not().exists().withMessage('Record payments through /api/admin/payments')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
         const order = await Order.findById(req.params.id);
         if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-        const { status, amountPaid, notes } = req.body;
-        if (status) order.status = status;
-        if (amountPaid !== undefined) { order.amountPaid = amountPaid; order.amountDue = order.grandTotal - amountPaid; order.paymentStatus = amountPaid >= order.grandTotal ? 'paid' : amountPaid > 0 ? 'partial' : 'pending'; }
+        const { status, statusNote, notes, cancelReason, refundMode = 'none', refundAmount, refundMethod = 'cash' } = req.body;
+        const payments = [];
+        const changingStatus = status && status !== order.status;
+        if (changingStatus) {
+            const denied = order.checkTransition(status, req.user.role);
+            if (denied) return res.status(denied.status).json({ success: false, message: denied.message });
+        }
+        if (changingStatus && status === 'cancelled') {
+            if (order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoiced orders cannot be cancelled. Issue a credit note instead.' });
+            if (!cancelReason || !cancelReason.trim()) return res.status(400).json({ success: false, message: 'Cancellation reason is required' });
+            const refund = refundMode === 'full' ? order.amountPaid : refundMode === 'partial' ? Number(refundAmount) || 0 : 0;
+            if (refund > order.amountPaid) return res.status(400).json({ success: false, message: 'Refund cannot exceed the amount paid' });
+            order.cancellation = { reason: cancelReason.trim(), refundMode, refundAmount: refund, cancelledBy: req.user._id, cancelledAt: new Date() };
+            order.setStatus('cancelled', req.user._id, order.cancellation.reason);
+            // Refunds go through the payment ledger; whatever is not refunded is retained
+            if (refund > 0) payments.push(new Payment({ order: order._id, type: 'refund', amount: refund, method: refundMethod, notes: order.cancellation.reason, collectedBy: req.user._id }));
+            else order.setAmountPaid(order.amountPaid);
+        } else if (changingStatus) {
+            order.setStatus(status, req.user._id, statusNote);
+        }
+        // Serials of the units handed over can be filled in until the stock leaves the shelf
+        if (req.body.itemSerials?.length) {
+            if (order.stockDeducted) return res.status(400).json({ success: false, message: 'Serial numbers cannot be changed once stock has been deducted' });
+            for (const { itemId, serials } of req.body.itemSerials) {
+                const item = order.items.id(itemId);
+                const product = item && await Product.findById(item.product);
+                if (!product) return res.status(400).json({ success: false, message: `Order item not found: ${itemId}` });
+                const problem = checkSerialCount(product, normaliseSerials(serials), item.quantity);
+                if (problem) return res.status(400).json({ success: false, code: 'INVALID_SERIALS', message: problem });
+                item.serials = normaliseSerials(serials);
+            }
+        }
+        // Staff link an order, e.g. one placed online, to the customer account it belongs to
+        if (req.body.customerId && String(order.customerId) !== req.body.customerId) {
+            if (order.invoiceNumber) return res.status(400).json({ success: false, message: 'The customer of an invoiced order cannot be changed' });
+            const account = await Customer.findOne({ _id: req.body.customerId, isActive: true });
+            if (!account) return res.status(404).json({ success: false, message: 'Customer not found' });
+            order.customerId = account._id;
+        }
         if (notes) order.notes = notes;
         order.processedBy = req.user._id;
-        await order.save();
+        await saveOrder(order, req.user, { allowInsufficientStock: req.body.allowInsufficientStock, payments });
         res.json({ success: true, message: 'Order updated', data: order });
+    } catch (error) {
+        if (ORDER_ERROR_CODES.includes(error.code)) return res.status(400).json({ success: false, code: error.code, message: error.message });
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/admin/orders/:id/discount-approval - Approve or reject a discount above the creator's limit
+router.post('/:id/discount-approval', authorize(...PERMISSIONS.APPROVE_DISCOUNTS), [
+    body('approve').isBoolean(),
+    body('note').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (order.discountApproval?.status !== 'pending') return res.status(400).json({ success: false, message: 'No discount awaiting approval' });
+        const { approve, note } = req.body;
+        const discountLimit = business.discountLimits[req.user.role] ?? 0;
+        if (approve && order.discountApproval.percent > discountLimit) return res.status(403).json({ success: false, message: `Discount of ${order.discountApproval.percent}% exceeds your approval limit of ${discountLimit}%` });
+        Object.assign(order.discountApproval, { status: approve ? 'approved' : 'rejected', decidedBy: req.user._id, decidedAt: new Date(), note });
+        await order.save();
+        res.json({ success: true, message: approve ? 'Discount approved' : 'Discount rejected', data: order });
     } catch (error) {
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 // POST /api/admin/orders/:id/invoice
-router.post('/:id/invoice', authorize(...PERMISSIONS.CREATE_ORDERS), async (req, res) => {
+router.post('/:id/invoice', authorize(...PERMISSIONS.CREATE_ORDERS), checkStockOverride, async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
         if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
         if (order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice exists' });
-        order.invoiceNumber = await Order.generateInvoiceNumber();
-        order.status = 'completed';
-        await order.save();
+        if (order.status !== 'completed') {
+            const denied = order.checkTransition('completed', req.user.role);
+            if (denied) return res.status(denied.status).json({ success: false, message: denied.message });
+        }
+        order.invoicedAt = new Date();
+        order.invoicedBy = req.user._id;
+        if (order.status !== 'completed') order.setStatus('completed', req.user._id, 'Invoice generated');
+        await saveOrder(order, req.user, { allowInsufficientStock: req.body.allowInsufficientStock, invoice: true });
         res.json({ success: true, message: 'Invoice generated', data: order });
     } catch (error) {
+        if (ORDER_ERROR_CODES.includes(error.code)) return res.status(400).json({ success: false, code: error.code, message: error.message });
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Send a government JSON payload as a download, or list what has to be filled in first
+const sendPortalJson = (res, { payload, errors }, filename) => {
+    if (errors.length) return res.status(400).json({ success: false, code: 'MISSING_FIELDS', message: `Cannot build ${filename}: ${errors.length} field(s) missing or invalid`, missingFields: errors });
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '-')}"`);
+    res.json(payload);
+};
+
+// GET /api/admin/orders/:id/e-invoice.json - INV-01 JSON for uploading to the e-invoice portal
+router.get('/:id/e-invoice.json', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (!order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice has not been generated for this order' });
+        sendPortalJson(res, buildEInvoice(order), `${order.invoiceNumber}-einvoice.json`);
+    } catch (error) {
+        console.error('E-invoice JSON error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/orders/:id/e-way-bill.json - E-way bill bulk upload JSON
+// Query: mode, distance, vehicleNumber, transporterId, transporterName; the ship-to address and
+// vehicle default to the given dispatchId or the order's latest delivery trip, whose site city and
+// pincode can be given as shipToCity and shipToPincode when the site address lacks them
+router.get('/:id/e-way-bill.json', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('dispatchId').optional().isMongoId().withMessage('Invalid dispatch'),
+    query('shipToCity').optional().trim(),
+    query('shipToPincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (!order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice has not been generated for this order' });
+        const dispatch = req.query.dispatchId
+            ? await Dispatch.findOne({ _id: req.query.dispatchId, order: order._id })
+            : await Dispatch.findOne({ order: order._id, status: { $ne: 'failed' } }).sort({ createdAt: -1 });
+        if (req.query.dispatchId && !dispatch) return res.status(404).json({ success: false, message: 'Dispatch not found for this order' });
+        const { mode, distance, vehicleNumber, transporterId, transporterName } = req.query;
+        sendPortalJson(res, buildEWayBill(order, {
+            mode, distance, transporterId, transporterName,
+            vehicleNumber: vehicleNumber || dispatch?.vehicleNumber,
+            shipTo: dispatch ? { address: dispatch.siteAddress, city: req.query.shipToCity, pincode: req.query.shipToPincode } : undefined
+        }), `${order.invoiceNumber}-ewaybill.json`);
+    } catch (error) {
+        console.error('E-way bill JSON error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// PUT /api/admin/orders/:id/e-invoice - Record the IRN and acknowledgement returned by the portal
+router.put('/:id/e-invoice', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('irn').trim().matches(/^[a-f0-9]{64}$/i).withMessage('IRN must be 64 hexadecimal characters'),
+    body('ackNo').trim().matches(/^\d{1,20}$/).withMessage('Acknowledgement number must be numeric'),
+    body('ackDate').isISO8601().withMessage('Valid acknowledgement date is required'),
+    body('signedQrCode').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (!order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice has not been generated for this order' });
+        // An IRN cannot be amended, only cancelled on the portal
+        if (order.eInvoice?.irn) return res.status(400).json({ success: false, message: 'IRN already recorded for this invoice' });
+        const { irn, ackNo, ackDate, signedQrCode } = req.body;
+        order.eInvoice = { irn: irn.toLowerCase(), ackNo, ackDate, signedQrCode, recordedBy: req.user._id, recordedAt: new Date() };
+        await order.save();
+        res.json({ success: true, message: 'E-invoice details recorded', data: order });
+    } catch (error) {
+        console.error('Record e-invoice error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// PUT /api/admin/orders/:id/e-way-bill - Record the e-way bill number; re-sent when validity is extended
+router.put('/:id/e-way-bill', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('ewayBillNumber').trim().matches(/^\d{12}$/).withMessage('E-way bill number must be 12 digits'),
+    body('generatedAt').isISO8601().withMessage('Valid e-way bill date is required'),
+    body('validUpto').optional().isISO8601().withMessage('Invalid validity date'),
+    body('vehicleNumber').optional().trim().isLength({ max: 15 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        const order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (!order.invoiceNumber) return res.status(400).json({ success: false, message: 'Invoice has not been generated for this order' });
+        const { ewayBillNumber, generatedAt, validUpto, vehicleNumber } = req.body;
+        if (order.eWayBill?.number && order.eWayBill.number !== ewayBillNumber) return res.status(400).json({ success: false, message: `E-way bill ${order.eWayBill.number} already recorded for this invoice` });
+        order.eWayBill = { number: ewayBillNumber, generatedAt, validUpto, vehicleNumber, recordedBy: req.user._id, recordedAt: new Date() };
+        await order.save();
+        const message = order.grandTotal > EWAY_BILL_THRESHOLD ? 'E-way bill recorded' : `E-way bill recorded (not required below ₹${EWAY_BILL_THRESHOLD})`;
+        res.json({ success: true, message, data: order });
+    } catch (error) {
+        console.error('Record e-way bill error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
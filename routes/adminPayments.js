@@ -0,0 +1,243 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { createPdfResponse, renderPaymentReceipt } from '../utils/pdf.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Save a ledger change and re-derive the order's payment figures in one transaction.
+// The order is read inside it, so a check of its balance sees payments recorded at the same time;
+// check throws an INVALID_PAYMENT error to reject the change
+const savePaymentAndSyncOrder = async (payment, check) => {
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+        order = await Order.findById(payment.order).session(session);
+        if (check) check(order);
+        await payment.saveWithNumber(session);
+        await Payment.syncOrder(order, session);
+        await order.save({ session });
+    });
+    return order;
+};
+
+// A payment that doesn't fit the order; thrown inside the transaction
+const paymentError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_PAYMENT';
+    return error;
+};
+
+// @route   GET /api/admin/payments
+// @desc    List payments, optionally for one order or a date range
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.order) filter.order = req.query.order;
+        if (req.query.method) filter.method = req.query.method;
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.collectedBy) filter.collectedBy = req.query.collectedBy;
+        if (req.query.shift) filter.shift = req.query.shift;
+        if (req.query.startDate || req.query.endDate) {
+            filter.paidAt = {};
+            if (req.query.startDate) filter.paidAt.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.paidAt.$lte = new Date(req.query.endDate);
+        }
+
+        const [payments, total] = await Promise.all([
+            Payment.find(filter)
+                .populate('order', 'orderNumber invoiceNumber customer.name grandTotal')
+                .populate('collectedBy voidedBy', 'name')
+                .sort({ paidAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Payment.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                payments,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/payments
+// @desc    Record a payment (or instalment) against an order
+// @access  Private (all admin roles)
+router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('method').isIn(['cash', 'upi', 'card', 'cheque', 'bank']).withMessage('Invalid payment method'),
+    body('referenceNumber').optional().trim().isLength({ max: 100 }),
+    body('paidAt').optional().isISO8601().withMessage('Invalid payment date'),
+    body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { orderId, amount, method, referenceNumber, paidAt, notes } = req.body;
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Cheque, UPI, card and bank payments must carry a reference to reconcile against
+        if (method !== 'cash' && !referenceNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reference number is required for non-cash payments'
+            });
+        }
+
+        const payment = new Payment({
+            order: order._id,
+            amount,
+            method,
+            referenceNumber,
+            paidAt: paidAt || Date.now(),
+            notes,
+            collectedBy: req.user._id
+        });
+
+        const updated = await savePaymentAndSyncOrder(payment, (current) => {
+            if (current.status === 'cancelled') throw paymentError('Cannot record payments on a cancelled order');
+            if (Number(amount) > current.amountDue) throw paymentError(`Amount exceeds the balance due of ${current.amountDue}`);
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment recorded successfully',
+            data: { payment, order: updated }
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_PAYMENT') {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Record payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/payments/:id/void
+// @desc    Void a payment recorded in error
+// @access  Private (admin, super_admin)
+router.post('/:id/void', authorize(...PERMISSIONS.VOID_PAYMENTS), [
+    body('reason').trim().notEmpty().withMessage('Void reason is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.status === 'voided') {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment is already voided'
+            });
+        }
+
+        payment.status = 'voided';
+        payment.voidedBy = req.user._id;
+        payment.voidedAt = new Date();
+        payment.voidReason = req.body.reason;
+
+        const order = await savePaymentAndSyncOrder(payment);
+
+        res.json({
+            success: true,
+            message: 'Payment voided successfully',
+            data: { payment, order }
+        });
+    } catch (error) {
+        console.error('Void payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/payments/:id/receipt.pdf
+// @desc    Printable payment receipt
+// @access  Private (all admin roles)
+router.get('/:id/receipt.pdf', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id).populate('collectedBy', 'name');
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const order = await Order.findById(payment.order);
+        const doc = createPdfResponse(res, `${payment.receiptNumber}.pdf`, { size: 'A5' });
+        renderPaymentReceipt(doc, payment, order);
+        doc.end();
+    } catch (error) {
+        console.error('Payment receipt error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+});
+
+export default router;
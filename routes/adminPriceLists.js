@@ -0,0 +1,351 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Customer from '../models/Customer.js';
+import PriceList from '../models/PriceList.js';
+import Product from '../models/Product.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const CUSTOMER_TYPES = ['retail', 'contractor', 'dealer'];
+
+const itemValidation = (field) => [
+    body(`${field}.*.productId`).trim().notEmpty().withMessage('Product ID is required'),
+    body(`${field}.*.price`).isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+    body(`${field}.*.slabs`).optional().isArray().withMessage('Slabs must be a list'),
+    body(`${field}.*.slabs.*.minQuantity`).isFloat({ min: 1 }).withMessage('Slab minimum quantity must be at least 1'),
+    body(`${field}.*.slabs.*.price`).isFloat({ min: 0 }).withMessage('Slab price cannot be negative')
+];
+
+const listValidation = [
+    body('description').optional().isLength({ max: 500 }),
+    body('customerTypes').optional().isArray().withMessage('Customer types must be a list'),
+    body('customerTypes.*').isIn(CUSTOMER_TYPES).withMessage('Invalid customer type'),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('items').optional().isArray().withMessage('Items must be a list'),
+    ...itemValidation('items')
+];
+
+const validationError = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+    res.status(400).json({
+        success: false,
+        errors: errors.array()
+    });
+    return true;
+};
+
+// Turn request lines keyed by product ID (SKU) into price list items
+// Returns the items, or the product IDs that do not exist
+const resolveItems = async (items) => {
+    const products = await Product.find({ id: { $in: items.map(i => i.productId) } }).select('id');
+    const byId = new Map(products.map(p => [p.id, p._id]));
+    const unknown = items.filter(i => !byId.has(i.productId)).map(i => i.productId);
+    if (unknown.length) return { unknown };
+
+    return {
+        items: items.map(i => ({
+            product: byId.get(i.productId),
+            price: i.price,
+            slabs: (i.slabs || []).map(s => ({ minQuantity: s.minQuantity, price: s.price }))
+        }))
+    };
+};
+
+const unknownProductsResponse = (res, unknown) => res.status(400).json({
+    success: false,
+    message: `Products not found: ${unknown.join(', ')}`,
+    unknownProducts: unknown
+});
+
+const errorResponse = (res, error, label) => {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'A price list with this name already exists'
+        });
+    }
+    if (error.name === 'ValidationError' || error.code === 'INVALID_PRICE_LIST') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// @route   GET /api/admin/price-lists
+// @desc    List price lists with the number of products on each
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_PRODUCTS), [
+    query('customerType').optional().isIn(CUSTOMER_TYPES),
+    query('status').optional().isIn(['active', 'inactive'])
+], async (req, res) => {
+    try {
+        if (validationError(req, res)) return;
+
+        const filter = {};
+        if (req.query.customerType) filter.customerTypes = req.query.customerType;
+        if (req.query.status) filter.isActive = req.query.status === 'active';
+
+        const priceLists = await PriceList.find(filter).sort({ isActive: -1, priority: -1, name: 1 }).lean();
+        const customerCounts = await Customer.aggregate([
+            { $match: { priceList: { $in: priceLists.map(l => l._id) } } },
+            { $group: { _id: '$priceList', count: { $sum: 1 } } }
+        ]);
+        const counts = new Map(customerCounts.map(c => [String(c._id), c.count]));
+
+        res.json({
+            success: true,
+            data: priceLists.map(({ items, ...list }) => ({
+                ...list,
+                itemCount: items.length,
+                customerCount: counts.get(String(list._id)) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Get price lists error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/price-lists/resolve
+// @desc    Rate a customer pays for a quantity of a product, and which list and slab it comes from
+// @access  Private (all admin roles)
+router.get('/resolve', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('productId').trim().notEmpty().withMessage('Product ID is required'),
+    query('quantity').optional().isFloat({ min: 1 }).toFloat(),
+    query('customerId').optional().isMongoId()
+], async (req, res) => {
+    try {
+        if (validationError(req, res)) return;
+
+        const [product, account] = await Promise.all([
+            Product.findOne({ id: req.query.productId }),
+            req.query.customerId ? Customer.findById(req.query.customerId) : null
+        ]);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const quantity = req.query.quantity || 1;
+        const priceList = await PriceList.findForCustomer(account);
+        const listed = priceList?.getPrice(product._id, quantity);
+
+        res.json({
+            success: true,
+            data: {
+                productId: product.id,
+                quantity,
+                basePrice: product.price,
+                unitPrice: listed ? listed.price : product.price,
+                priceList: listed ? { _id: priceList._id, name: priceList.name } : null,
+                priceSlab: listed?.minQuantity ?? null
+            }
+        });
+    } catch (error) {
+        console.error('Resolve price error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/price-lists/:id
+// @desc    Get a price list with its products
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_PRODUCTS), async (req, res) => {
+    try {
+        const priceList = await PriceList.findById(req.params.id)
+            .populate('items.product', 'id name category unit price')
+            .populate('createdBy updatedBy', 'name');
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price list not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: priceList
+        });
+    } catch (error) {
+        console.error('Get price list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/price-lists
+// @desc    Create a price list
+// @access  Private (admin, super_admin)
+router.post('/', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
+    body('name').trim().notEmpty().withMessage('Price list name is required'),
+    ...listValidation
+], async (req, res) => {
+    try {
+        if (validationError(req, res)) return;
+
+        const { name, description, customerTypes, priority, items = [] } = req.body;
+        const resolved = await resolveItems(items);
+        if (resolved.unknown) return unknownProductsResponse(res, resolved.unknown);
+
+        const priceList = await PriceList.create({
+            name,
+            description,
+            customerTypes,
+            priority,
+            items: resolved.items,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Price list created successfully',
+            data: priceList
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Create price list');
+    }
+});
+
+// @route   PUT /api/admin/price-lists/:id
+// @desc    Update a price list; items, when given, replace the whole list
+// @access  Private (admin, super_admin)
+router.put('/:id', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
+    body('name').optional().trim().notEmpty().withMessage('Price list name cannot be empty'),
+    body('isActive').optional().isBoolean(),
+    ...listValidation
+], async (req, res) => {
+    try {
+        if (validationError(req, res)) return;
+
+        const priceList = await PriceList.findById(req.params.id);
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price list not found'
+            });
+        }
+
+        ['name', 'description', 'customerTypes', 'priority', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) priceList[field] = req.body[field];
+        });
+        if (req.body.items) {
+            const resolved = await resolveItems(req.body.items);
+            if (resolved.unknown) return unknownProductsResponse(res, resolved.unknown);
+            priceList.items = resolved.items;
+        }
+        priceList.updatedBy = req.user._id;
+        await priceList.save();
+
+        res.json({
+            success: true,
+            message: 'Price list updated successfully',
+            data: priceList
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Update price list');
+    }
+});
+
+// @route   PUT /api/admin/price-lists/:id/items
+// @desc    Bulk add or update product rates and remove products, leaving the rest of the list as is
+// @access  Private (admin, super_admin)
+router.put('/:id/items', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
+    body('items').optional().isArray().withMessage('Items must be a list'),
+    ...itemValidation('items'),
+    body('remove').optional().isArray().withMessage('Remove must be a list of product IDs')
+], async (req, res) => {
+    try {
+        if (validationError(req, res)) return;
+
+        const { items = [], remove = [] } = req.body;
+        if (!items.length && !remove.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to change'
+            });
+        }
+
+        const priceList = await PriceList.findById(req.params.id);
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price list not found'
+            });
+        }
+
+        const resolved = await resolveItems([...items, ...remove.map(productId => ({ productId }))]);
+        if (resolved.unknown) return unknownProductsResponse(res, resolved.unknown);
+
+        const updates = resolved.items.slice(0, items.length);
+        const removed = new Set(resolved.items.slice(items.length).map(i => String(i.product)));
+        const updated = new Set(updates.map(i => String(i.product)));
+
+        // Updated products are replaced whole, slabs included
+        priceList.items = priceList.items
+            .filter(i => !removed.has(String(i.product)) && !updated.has(String(i.product)))
+            .concat(updates);
+        priceList.updatedBy = req.user._id;
+        await priceList.save();
+
+        res.json({
+            success: true,
+            message: `${updates.length} rates saved, ${removed.size} products removed`,
+            data: priceList
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Bulk update price list');
+    }
+});
+
+// @route   DELETE /api/admin/price-lists/:id
+// @desc    Deactivate a price list; its customers fall back to the list for their type
+// @access  Private (admin, super_admin)
+router.delete('/:id', authorize(...PERMISSIONS.MANAGE_PRODUCTS), async (req, res) => {
+    try {
+        const priceList = await PriceList.findById(req.params.id);
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price list not found'
+            });
+        }
+
+        priceList.isActive = false;
+        priceList.updatedBy = req.user._id;
+        await priceList.save();
+
+        res.json({
+            success: true,
+            message: 'Price list deactivated successfully'
+        });
+    } catch (error) {
+        console.error('Delete price list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -1,8 +1,12 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult, query } from 'express-validator';
+import PriceChange from '../models/PriceChange.js';
 import Product from '../models/Product.js';
 import StockMovement from '../models/StockMovement.js';
 import { authenticate, authorize, ROLES, PERMISSIONS } from '../middleware/auth.js';
+import { GST_RATES, roundCurrency } from '../utils/gst.js';
+import { adjustPrice, changePrice } from '../utils/prices.js';
 
 const router = express.Router();
 
@@ -98,6 +102,214 @@ router.get('/stats', authorize(...PERMISSIONS.MANAGE_PRODUCTS), async (req, res)
     }
 });
 
+const CATEGORIES = ['steel', 'cement', 'electronics', 'paints'];
+
+const bulkPriceValidation = [
+    body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('type').isIn(['percent', 'amount']).withMessage('Type must be percent or amount'),
+    body('value').isFloat().custom(value => Number(value) !== 0).withMessage('Value must be a non-zero number'),
+    body('roundTo').optional().isFloat({ gt: 0 }).withMessage('Round to must be greater than zero'),
+    body('productIds').optional().isArray().withMessage('Product IDs must be a list'),
+    body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective date'),
+    body('note').optional().isLength({ max: 500 })
+];
+
+// Work out the new price of every product a bulk rate change covers
+// Prices that would drop below zero are listed as invalid
+const planBulkPriceChange = async ({ category, type, value, roundTo, productIds }) => {
+    const filter = { category };
+    if (productIds?.length) filter.id = { $in: productIds };
+    const products = await Product.find(filter).sort({ name: 1 });
+
+    const adjustment = { type, value: Number(value), roundTo: roundTo && Number(roundTo) };
+    const rows = products.map(product => {
+        const newPrice = adjustPrice(product.price, adjustment);
+        return {
+            product,
+            row: {
+                id: product.id,
+                name: product.name,
+                unit: product.unit,
+                oldPrice: product.price,
+                newPrice,
+                difference: roundCurrency(newPrice - product.price)
+            }
+        };
+    });
+
+    return {
+        rows,
+        invalid: rows.filter(r => r.row.newPrice < 0).map(r => r.row.id),
+        unchanged: rows.filter(r => r.row.difference === 0).map(r => r.row.id)
+    };
+};
+
+// @route   POST /api/admin/products/bulk-price/preview
+// @desc    Show the new prices a category-wide rate change would set, without saving
+// @access  Private (admin, super_admin)
+router.post('/bulk-price/preview', authorize(...PERMISSIONS.MANAGE_PRODUCTS), bulkPriceValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { rows, invalid, unchanged } = await planBulkPriceChange(req.body);
+
+        res.json({
+            success: true,
+            data: {
+                // Past dates take effect now, as changePrice records them
+                effectiveFrom: req.body.effectiveFrom && new Date(req.body.effectiveFrom) > new Date() ? req.body.effectiveFrom : new Date(),
+                count: rows.length - unchanged.length,
+                products: rows.map(r => r.row),
+                invalid,
+                unchanged
+            }
+        });
+    } catch (error) {
+        console.error('Preview bulk price error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/products/bulk-price
+// @desc    Raise or lower the prices of a whole category by an amount or percentage
+// @access  Private (admin, super_admin)
+router.post('/bulk-price', authorize(...PERMISSIONS.MANAGE_PRODUCTS), bulkPriceValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { rows, invalid } = await planBulkPriceChange(req.body);
+        if (invalid.length) {
+            return res.status(400).json({
+                success: false,
+                message: `This change would make prices negative for: ${invalid.join(', ')}`,
+                invalid
+            });
+        }
+
+        const changes = rows.filter(r => r.row.difference !== 0);
+        if (!changes.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'No prices would change'
+            });
+        }
+
+        // Every price in the batch changes together, or none do
+        const batch = new mongoose.Types.ObjectId();
+        const { effectiveFrom, note } = req.body;
+        await mongoose.connection.transaction(async (session) => {
+            for (const { product, row } of changes) {
+                await changePrice(product, row.newPrice, { changedBy: req.user._id, effectiveFrom, source: 'bulk', batch, note, session });
+            }
+        });
+
+        const scheduled = effectiveFrom && new Date(effectiveFrom) > new Date();
+        res.json({
+            success: true,
+            message: `${changes.length} prices ${scheduled ? 'scheduled' : 'updated'}`,
+            data: {
+                batch,
+                effectiveFrom: scheduled ? effectiveFrom : new Date(),
+                products: changes.map(c => c.row)
+            }
+        });
+    } catch (error) {
+        console.error('Bulk price error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/products/price-changes/:changeId
+// @desc    Cancel a scheduled price change before it takes effect
+// @access  Private (admin, super_admin)
+router.delete('/price-changes/:changeId', authorize(...PERMISSIONS.MANAGE_PRODUCTS), async (req, res) => {
+    try {
+        const change = await PriceChange.findById(req.params.changeId);
+        if (!change) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price change not found'
+            });
+        }
+
+        if (change.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a price change that is ${change.status}`
+            });
+        }
+
+        change.status = 'cancelled';
+        change.cancelledBy = req.user._id;
+        await change.save();
+
+        res.json({
+            success: true,
+            message: 'Scheduled price change cancelled',
+            data: change
+        });
+    } catch (error) {
+        console.error('Cancel price change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/products/:id/price-history
+// @desc    Every price change of a product, scheduled ones included, newest first
+// @access  Private (all admin roles)
+router.get('/:id/price-history', authorize(...PERMISSIONS.VIEW_PRODUCTS), async (req, res) => {
+    try {
+        const product = await Product.findOne({ id: req.params.id });
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const changes = await PriceChange.find({ product: product._id })
+            .populate('changedBy cancelledBy', 'name')
+            .sort({ effectiveFrom: -1, createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                id: product.id,
+                name: product.name,
+                currentPrice: product.price,
+                changes
+            }
+        });
+    } catch (error) {
+        console.error('Get price history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   GET /api/admin/products/:id
 // @desc    Get single product
 // @access  Private (all admin roles)
@@ -130,10 +342,15 @@ router.get('/:id', authorize(...PERMISSIONS.VIEW_PRODUCTS), async (req, res) =>
 // @access  Private (admin, super_admin)
 router.post('/', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
     body('name').trim().notEmpty().withMessage('Product name is required'),
-    body('category').isIn(['steel', 'cement', 'electronics', 'paints']).withMessage('Invalid category'),
+    body('category').isIn(CATEGORIES).withMessage('Invalid category'),
     body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
     body('unit').trim().notEmpty().withMessage('Unit is required'),
-    body('description').trim().notEmpty().withMessage('Description is required')
+    body('description').trim().notEmpty().withMessage('Description is required'),
+    body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+    body('gstRate').optional().isIn(GST_RATES).withMessage('Invalid GST rate'),
+    body('serialTracked').optional().isBoolean().withMessage('serialTracked must be true or false'),
+    body('warrantyMonths').optional().isInt({ min: 0 }).withMessage('Warranty months must be a non-negative integer')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -144,7 +361,7 @@ router.post('/', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
             });
         }
 
-        const { name, category, price, unit, description, longDescription, specs, image, inStock } = req.body;
+        const { name, category, price, unit, description, longDescription, specs, image, reorderLevel, hsnCode, gstRate, serialTracked, warrantyMonths } = req.body;
 
         // Generate unique ID
         const prefix = category.substring(0, 3).toUpperCase();
@@ -161,10 +378,17 @@ router.post('/', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
             longDescription,
             specs,
             image: image || 'https://via.placeholder.com/300',
-            inStock: inStock !== undefined ? inStock : true
+            reorderLevel,
+            hsnCode,
+            gstRate,
+            serialTracked,
+            warrantyMonths
         });
 
-        await product.save();
+        // The opening price starts the product's price history
+        await mongoose.connection.transaction(async (session) => {
+            await changePrice(product, price, { changedBy: req.user._id, source: 'create', session });
+        });
 
         res.status(201).json({
             success: true,
@@ -181,28 +405,42 @@ router.post('/', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
 });
 
 // @route   PUT /api/admin/products/:id
-// @desc    Update product
+// @desc    Update product; a price change is kept in the price history and may take effect later
 // @access  Private (admin, super_admin)
-router.put('/:id', authorize(...PERMISSIONS.MANAGE_PRODUCTS), async (req, res) => {
+router.put('/:id', authorize(...PERMISSIONS.MANAGE_PRODUCTS), [
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('priceEffectiveFrom').optional().isISO8601().withMessage('Invalid price effective date'),
+    body('priceNote').optional().isLength({ max: 500 }),
+    body('serialTracked').optional().isBoolean().withMessage('serialTracked must be true or false'),
+    body('warrantyMonths').optional().isInt({ min: 0 }).withMessage('Warranty months must be a non-negative integer')
+], async (req, res) => {
     try {
-        const { name, category, price, unit, description, longDescription, specs, image, inStock } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        // Stock quantity (and so inStock) only changes through stock movements
+        const { name, category, price, unit, description, longDescription, specs, image, reorderLevel, hsnCode, gstRate, serialTracked, warrantyMonths, priceEffectiveFrom, priceNote } = req.body;
 
         const updateData = {};
         if (name) updateData.name = name;
         if (category) updateData.category = category;
-        if (price !== undefined) updateData.price = price;
         if (unit) updateData.unit = unit;
         if (description) updateData.description = description;
         if (longDescription !== undefined) updateData.longDescription = longDescription;
         if (specs) updateData.specs = specs;
         if (image) updateData.image = image;
-        if (inStock !== undefined) updateData.inStock = inStock;
+        if (reorderLevel !== undefined) updateData.reorderLevel = reorderLevel;
+        if (hsnCode !== undefined) updateData.hsnCode = hsnCode;
+        if (gstRate !== undefined) updateData.gstRate = gstRate;
+        if (serialTracked !== undefined) updateData.serialTracked = serialTracked;
+        if (warrantyMonths !== undefined) updateData.warrantyMonths = warrantyMonths;
 
-        const product = await Product.findOneAndUpdate(
-            { id: req.params.id },
-            updateData,
-            { new: true, runValidators: true }
-        );
+        const product = await Product.findOne({ id: req.params.id });
 
         if (!product) {
             return res.status(404).json({
@@ -211,9 +449,26 @@ router.put('/:id', authorize(...PERMISSIONS.MANAGE_PRODUCTS), async (req, res) =
             });
         }
 
+        let priceChange = null;
+        product.set(updateData);
+        await mongoose.connection.transaction(async (session) => {
+            if (price !== undefined) {
+                priceChange = await changePrice(product, Number(price), {
+                    changedBy: req.user._id,
+                    effectiveFrom: priceEffectiveFrom,
+                    note: priceNote,
+                    session
+                });
+            }
+            // changePrice saves the product itself when the price changes now
+            if (product.isModified()) await product.save({ session });
+        });
+
         res.json({
             success: true,
-            message: 'Product updated successfully',
+            message: priceChange?.status === 'scheduled'
+                ? `Product updated; new price takes effect on ${priceChange.effectiveFrom.toDateString()}`
+                : 'Product updated successfully',
             data: product
         });
     } catch (error) {
@@ -0,0 +1,436 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult, query } from 'express-validator';
+import Customer from '../models/Customer.js';
+import Counter from '../models/Counter.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import PriceList from '../models/PriceList.js';
+import Product from '../models/Product.js';
+import Quotation, { QUOTATION_TRANSITIONS } from '../models/Quotation.js';
+import { authenticate, authorize, checkCreditOverride, checkStockOverride, PERMISSIONS } from '../middleware/auth.js';
+import { calculateOrderTotals, isValidGstin } from '../utils/gst.js';
+import { checkCreditLimit, checkDiscountLimit, ORDER_ERROR_CODES, resolveCustomer, resolveOrderLines, saveOrder } from '../utils/orders.js';
+import { createPdfResponse, renderQuotation } from '../utils/pdf.js';
+import { checkSerialCount, normaliseSerials } from '../utils/serials.js';
+import business from '../config/business.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const itemValidation = [
+    body('items.*.productId').notEmpty().withMessage('Product is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.discount.type').optional().isIn(['percent', 'flat']),
+    body('orderDiscount.type').optional().isIn(['percent', 'flat'])
+];
+
+// Default validity: today plus the configured number of days
+const defaultValidUntil = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + business.quotationValidityDays);
+    return date;
+};
+
+// Price lines for a quote and refuse discounts beyond what the user may give
+const priceQuotation = async (req, customer, items, orderDiscount, account) => {
+    const lines = await resolveOrderLines(items, await PriceList.findForCustomer(account));
+    const billing = calculateOrderTotals(lines, customer, orderDiscount);
+    const discount = checkDiscountLimit(billing, req.user.role);
+    return { billing, discount };
+};
+
+const discountLimitResponse = (res, { discountPercent, discountLimit }) => res.status(403).json({
+    success: false,
+    code: 'DISCOUNT_LIMIT',
+    message: `Discount of ${discountPercent}% exceeds your limit of ${discountLimit}%. Ask an admin to issue this quotation.`
+});
+
+const errorResponse = (res, error, label) => {
+    if (ORDER_ERROR_CODES.includes(error.code)) {
+        return res.status(400).json({
+            success: false,
+            code: error.code,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// @route   GET /api/admin/quotations
+// @desc    Get all quotations with pagination
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.VIEW_ORDERS), [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('status').optional().isIn(Object.keys(QUOTATION_TRANSITIONS))
+], async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.customerId) filter.customerId = req.query.customerId;
+        if (req.query.search) {
+            filter.$or = [
+                { quotationNumber: { $regex: req.query.search, $options: 'i' } },
+                { 'customer.name': { $regex: req.query.search, $options: 'i' } }
+            ];
+        }
+
+        const [quotations, total] = await Promise.all([
+            Quotation.find(filter)
+                .populate('createdBy', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Quotation.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                quotations,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get quotations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/quotations/:id
+// @desc    Get single quotation
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const quotation = await Quotation.findById(req.params.id)
+            .populate('createdBy', 'name')
+            .populate('convertedOrder', 'orderNumber status');
+
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: quotation
+        });
+    } catch (error) {
+        console.error('Get quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/quotations/:id/quotation.pdf
+// @desc    Printable quotation
+// @access  Private (all admin roles)
+router.get('/:id/quotation.pdf', authorize(...PERMISSIONS.VIEW_ORDERS), async (req, res) => {
+    try {
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const doc = createPdfResponse(res, `${quotation.quotationNumber}.pdf`);
+        renderQuotation(doc, quotation);
+        doc.end();
+    } catch (error) {
+        console.error('Quotation PDF error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+});
+
+// @route   POST /api/admin/quotations
+// @desc    Create a quotation
+// @access  Private (all admin roles)
+router.post('/', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('customerId').optional().isMongoId(),
+    body('customer.name').if(body('customerId').not().exists()).trim().notEmpty().withMessage('Customer name is required'),
+    body('customer.gstin').optional({ values: 'falsy' }).custom(isValidGstin).withMessage('Invalid GSTIN'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    ...itemValidation,
+    body('validUntil').optional().isISO8601().withMessage('Invalid validity date'),
+    body('notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { customerId, customer, items, orderDiscount, validUntil, notes } = req.body;
+        const { account, billedCustomer } = await resolveCustomer(customerId, customer);
+        const { billing, discount } = await priceQuotation(req, billedCustomer, items, orderDiscount, account);
+        if (discount.overLimit) return discountLimitResponse(res, discount);
+
+        const quotation = new Quotation({
+            customerId: account?._id,
+            customer: billedCustomer,
+            ...billing,
+            validUntil: validUntil || defaultValidUntil(),
+            notes,
+            createdBy: req.user._id
+        });
+        await mongoose.connection.transaction(async (session) => {
+            quotation.quotationNumber = await Counter.next('quotation', { session });
+            await quotation.save({ session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Quotation created successfully',
+            data: quotation
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Create quotation');
+    }
+});
+
+// @route   PUT /api/admin/quotations/:id
+// @desc    Update a quotation's status, validity or notes, or re-quote its items
+// @access  Private (all admin roles)
+router.put('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('status').optional().isIn(Object.keys(QUOTATION_TRANSITIONS)),
+    body('items').optional().isArray({ min: 1 }),
+    ...itemValidation,
+    body('validUntil').optional().isISO8601().withMessage('Invalid validity date'),
+    body('notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const { status, items, orderDiscount, validUntil, notes } = req.body;
+
+        if (status && status !== quotation.status && !QUOTATION_TRANSITIONS[quotation.status].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change a ${quotation.status} quotation to ${status}`
+            });
+        }
+
+        // Only quotes still with the customer can be re-priced
+        if (items) {
+            if (!['draft', 'sent'].includes(quotation.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot change the items of a ${quotation.status} quotation`
+                });
+            }
+            const account = quotation.customerId ? await Customer.findById(quotation.customerId) : null;
+            const { billing, discount } = await priceQuotation(req, quotation.customer, items, orderDiscount, account);
+            if (discount.overLimit) return discountLimitResponse(res, discount);
+            quotation.set(billing);
+        }
+
+        if (status) quotation.status = status;
+        if (validUntil) quotation.validUntil = validUntil;
+        if (notes !== undefined) quotation.notes = notes;
+        await quotation.save();
+
+        res.json({
+            success: true,
+            message: 'Quotation updated successfully',
+            data: quotation
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Update quotation');
+    }
+});
+
+// @route   POST /api/admin/quotations/:id/convert
+// @desc    Turn an accepted quotation into an order, warning about price and stock changes since it was issued
+// @access  Private (all admin roles)
+router.post('/:id/convert', authorize(...PERMISSIONS.CREATE_ORDERS), checkStockOverride, checkCreditOverride, [
+    body('status').optional().isIn(['draft', 'confirmed']),
+    body('paymentMethod').optional().isIn(Order.schema.path('paymentMethod').enumValues),
+    body('amountPaid').optional().isFloat({ min: 0 }),
+    body('confirm').optional().isBoolean(),
+    body('allowInsufficientStock').optional().isBoolean(),
+    body('allowCreditOverride').optional().isBoolean(),
+    body('serials').optional().isObject().withMessage('Serials must map product IDs to serial numbers')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        if (quotation.status !== 'accepted') {
+            return res.status(400).json({
+                success: false,
+                message: quotation.status === 'converted'
+                    ? 'Quotation has already been converted to an order'
+                    : 'Only accepted quotations can be converted'
+            });
+        }
+
+        const { status = 'confirmed', paymentMethod, paymentReference, amountPaid, notes, confirm, allowInsufficientStock, allowCreditOverride } = req.body;
+
+        // Quoted prices hold until the validity date; after that the order is billed at today's prices
+        const expired = quotation.isExpired;
+        const warnings = expired ? [{ type: 'expired', message: `Quotation expired on ${quotation.validUntil.toDateString()}; current prices apply` }] : [];
+        const account = quotation.customerId ? await Customer.findById(quotation.customerId) : null;
+        const priceList = await PriceList.findForCustomer(account);
+        const lines = [];
+        for (const item of quotation.items) {
+            const product = await Product.findById(item.product);
+            if (!product) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'PRODUCT_NOT_FOUND',
+                    message: `Product no longer exists: ${item.productName}`
+                });
+            }
+            // Compare against what the customer would be charged today, list rate included
+            const listed = priceList?.getPrice(product._id, item.quantity);
+            const currentPrice = listed ? listed.price : product.price;
+            if (currentPrice !== item.unitPrice) {
+                warnings.push({ type: 'price', product: product.id, message: `${product.name} price changed from ${item.unitPrice} to ${currentPrice}`, quoted: item.unitPrice, current: currentPrice });
+            }
+            if (product.gstRate !== item.gstRate) {
+                warnings.push({ type: 'gst', product: product.id, message: `${product.name} GST rate changed from ${item.gstRate}% to ${product.gstRate}%`, quoted: item.gstRate, current: product.gstRate });
+            }
+            // Serial numbers of the units handed over, keyed by product ID
+            const serials = normaliseSerials(req.body.serials?.[product.id]);
+            const serialProblem = serials.length ? checkSerialCount(product, serials, item.quantity) : null;
+            if (serialProblem) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'INVALID_SERIALS',
+                    message: serialProblem
+                });
+            }
+            if (product.stockQuantity < item.quantity) {
+                warnings.push({ type: 'stock', product: product.id, message: `Only ${product.stockQuantity} ${product.unit} of ${product.name} in stock, ${item.quantity} quoted`, available: product.stockQuantity, quoted: item.quantity });
+            }
+            lines.push({
+                product,
+                quantity: item.quantity,
+                unitPrice: expired ? currentPrice : item.unitPrice,
+                discount: item.discountType ? { type: item.discountType, value: item.discountValue } : undefined,
+                serials,
+                pricing: expired
+                    ? listed && { priceList: priceList._id, priceListName: priceList.name, priceSlab: listed.minQuantity ?? undefined }
+                    : item.priceList && { priceList: item.priceList, priceListName: item.priceListName, priceSlab: item.priceSlab }
+            });
+        }
+
+        // Changes have to be acknowledged before the order is created
+        if (warnings.length && !confirm) {
+            return res.status(409).json({
+                success: false,
+                code: 'QUOTATION_CHANGED',
+                message: 'Prices or stock have changed since this quotation was issued. Resend with confirm: true to convert anyway.',
+                warnings
+            });
+        }
+
+        const orderDiscount = quotation.orderDiscount?.value ? { type: quotation.orderDiscount.type, value: quotation.orderDiscount.value } : undefined;
+        const billing = calculateOrderTotals(lines, quotation.customer, orderDiscount);
+
+        const paid = Number(amountPaid) || 0;
+        if (paid > billing.grandTotal) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount paid cannot exceed the bill total'
+            });
+        }
+
+        const credit = paymentMethod === 'credit' ? await checkCreditLimit(account, billing.grandTotal - paid) : {};
+        if (credit.overLimit && !allowCreditOverride) {
+            return res.status(403).json({
+                success: false,
+                code: 'CREDIT_LIMIT',
+                message: `This bill takes the amount owed to ${credit.exposure}, over the credit limit of ${credit.creditLimit}`,
+                data: { outstanding: credit.outstanding, creditLimit: credit.creditLimit }
+            });
+        }
+
+        const order = new Order({
+            customerId: quotation.customerId,
+            customer: quotation.toObject().customer,
+            ...billing,
+            quotation: quotation._id,
+            creditOverrideBy: credit.overLimit ? req.user._id : undefined,
+            paymentMethod: paymentMethod || 'cash',
+            amountDue: billing.grandTotal,
+            status,
+            statusHistory: [{ to: status, changedBy: req.user._id, note: `Converted from quotation ${quotation.quotationNumber}` }],
+            notes: notes || quotation.notes,
+            createdBy: req.user._id
+        });
+        const payments = paid > 0 ? [new Payment({ order: order._id, amount: paid, method: Payment.methodFromOrder(order.paymentMethod), referenceNumber: paymentReference, collectedBy: req.user._id })] : [];
+        await saveOrder(order, req.user, { allowInsufficientStock, payments, quotation });
+
+        res.status(201).json({
+            success: true,
+            message: 'Quotation converted to order',
+            data: { order, quotation, warnings }
+        });
+    } catch (error) {
+        errorResponse(res, error, 'Convert quotation');
+    }
+});
+
+export default router;
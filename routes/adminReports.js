@@ -1,9 +1,16 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import CreditNote from '../models/CreditNote.js';
+import Expense from '../models/Expense.js';
 import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
 import Product from '../models/Product.js';
+import Shift from '../models/Shift.js';
 import StockMovement from '../models/StockMovement.js';
 import User from '../models/User.js';
 import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { roundCurrency } from '../utils/gst.js';
+import { parseEndDate, STOCK_COMMITTED_STATUSES } from '../utils/orders.js';
 
 const router = express.Router();
 router.use(authenticate);
@@ -45,26 +52,245 @@ router.get('/sales', authorize(...PERMISSIONS.VIEW_SALES), async (req, res) => {
     try {
         const { startDate, endDate, groupBy = 'day' } = req.query;
         const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        const end = endDate ? new Date(endDate) : new Date();
+        const end = endDate ? parseEndDate(endDate) : new Date();
 
         const dateFormat = groupBy === 'month' ? '%Y-%m' : groupBy === 'week' ? '%Y-W%V' : '%Y-%m-%d';
 
+        // Drafts and online orders the counter has not confirmed are not sales yet
         const salesData = await Order.aggregate([
-            { $match: { createdAt: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } } },
+            { $match: { createdAt: { $gte: start, $lte: end }, status: { $nin: ['cancelled', 'pending', 'draft'] } } },
             { $group: { _id: { $dateToString: { format: dateFormat, date: '$createdAt' } }, orders: { $sum: 1 }, revenue: { $sum: '$grandTotal' }, paid: { $sum: '$amountPaid' } } },
             { $sort: { _id: 1 } }
         ]);
 
         const totals = await Order.aggregate([
-            { $match: { createdAt: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } } },
+            { $match: { createdAt: { $gte: start, $lte: end }, status: { $nin: ['cancelled', 'pending', 'draft'] } } },
             { $group: { _id: null, totalOrders: { $sum: 1 }, totalRevenue: { $sum: '$grandTotal' }, totalPaid: { $sum: '$amountPaid' } } }
         ]);
 
+        // Counter vs online sales; older orders without a channel were all at the counter
+        const byChannel = await Order.aggregate([
+            { $match: { createdAt: { $gte: start, $lte: end }, status: { $nin: ['cancelled', 'pending', 'draft'] } } },
+            { $group: { _id: { $ifNull: ['$channel', 'counter'] }, orders: { $sum: 1 }, revenue: { $sum: '$grandTotal' } } },
+            { $sort: { _id: 1 } }
+        ]);
+
+        // Credit notes count as negative sales in the period they are issued
+        const creditData = await CreditNote.aggregate([
+            { $match: { createdAt: { $gte: start, $lte: end } } },
+            { $group: { _id: { $dateToString: { format: dateFormat, date: '$createdAt' } }, credits: { $sum: { $multiply: ['$grandTotal', -1] } } } }
+        ]);
+        const chart = new Map(salesData.map(row => [row._id, { ...row, credits: 0 }]));
+        creditData.forEach(row => chart.set(row._id, { ...(chart.get(row._id) || { _id: row._id, orders: 0, revenue: 0, paid: 0 }), credits: row.credits }));
+        chart.forEach(row => { row.netRevenue = roundCurrency(row.revenue + row.credits); });
+        const summary = totals[0] || { totalOrders: 0, totalRevenue: 0, totalPaid: 0 };
+        summary.totalCredits = roundCurrency(creditData.reduce((sum, row) => sum + row.credits, 0));
+        summary.netRevenue = roundCurrency(summary.totalRevenue + summary.totalCredits);
+
+        res.json({
+            success: true,
+            data: {
+                chart: [...chart.values()].sort((a, b) => a._id.localeCompare(b._id)),
+                summary,
+                byChannel
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/reports/gst - Rate-wise GST on invoices less credit notes
+router.get('/gst', authorize(...PERMISSIONS.VIEW_SALES), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const today = new Date();
+        const start = startDate ? new Date(startDate) : new Date(today.getFullYear(), today.getMonth(), 1);
+        const end = endDate ? parseEndDate(endDate) : today;
+
+        const fields = ['taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'gstAmount'];
+        const byRate = (sign) => ({ _id: '$items.gstRate', ...Object.fromEntries(fields.map(f => [f, { $sum: { $multiply: [`$items.${f}`, sign] } }])) });
+        const [invoices, creditNotes] = await Promise.all([
+            Order.aggregate([
+                { $match: { invoiceNumber: { $ne: null }, invoicedAt: { $gte: start, $lte: end } } },
+                { $unwind: '$items' },
+                { $group: byRate(1) },
+                { $sort: { _id: 1 } }
+            ]),
+            CreditNote.aggregate([
+                { $match: { createdAt: { $gte: start, $lte: end } } },
+                { $unwind: '$items' },
+                { $group: byRate(-1) },
+                { $sort: { _id: 1 } }
+            ])
+        ]);
+
+        const net = {};
+        const summary = Object.fromEntries(fields.map(f => [f, 0]));
+        [...invoices, ...creditNotes].forEach(row => {
+            const rate = net[row._id] || (net[row._id] = { _id: row._id, ...Object.fromEntries(fields.map(f => [f, 0])) });
+            fields.forEach(f => {
+                rate[f] = roundCurrency(rate[f] + row[f]);
+                summary[f] = roundCurrency(summary[f] + row[f]);
+            });
+        });
+
+        res.json({
+            success: true,
+            data: { invoices, creditNotes, net: Object.values(net).sort((a, b) => a._id - b._id), summary }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/reports/day-end - Closed cash drawer shifts for a day (?date=YYYY-MM-DD), per counter and per staff member
+router.get('/day-end', authorize(...PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+    try {
+        const start = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+        if (isNaN(start)) return res.status(400).json({ success: false, message: 'Invalid date' });
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start); end.setDate(end.getDate() + 1);
+
+        const [shifts, openShifts, unassigned] = await Promise.all([
+            Shift.find({ status: 'closed', closedAt: { $gte: start, $lt: end } }).select('-cashMovements').populate('openedBy closedBy', 'name').sort({ closedAt: 1 }).lean(),
+            Shift.find({ status: 'open', openedAt: { $lt: end } }).select('counter openedBy openedAt openingFloat').populate('openedBy', 'name'),
+            // Cash taken by someone without an open shift is in no drawer's expected total
+            Payment.aggregate([
+                { $match: { method: 'cash', status: 'active', shift: null, paidAt: { $gte: start, $lt: end } } },
+                { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const fields = ['openingFloat', 'cashSales', 'cashRefunds', 'cashIn', 'cashOut', 'expectedCash', 'countedCash', 'difference'];
+        const figures = (s) => ({ ...s.expected, expectedCash: s.expected.cash, countedCash: s.countedCash, difference: s.difference });
+        const group = (keyOf, labelOf) => Object.values(shifts.reduce((groups, s) => {
+            const key = keyOf(s);
+            const row = groups[key] || (groups[key] = { _id: key, name: labelOf(s), shifts: 0, ...Object.fromEntries(fields.map(f => [f, 0])) });
+            const values = figures(s);
+            row.shifts += 1;
+            fields.forEach(f => { row[f] = roundCurrency(row[f] + (values[f] || 0)); });
+            return groups;
+        }, {}));
+        const summary = group(() => 'all', () => 'All counters')[0] || { shifts: 0, ...Object.fromEntries(fields.map(f => [f, 0])) };
+
+        res.json({
+            success: true,
+            data: {
+                date: start,
+                summary,
+                byCounter: group(s => s.counter, s => s.counter),
+                byStaff: group(s => String(s.openedBy?._id), s => s.openedBy?.name),
+                shifts,
+                openShifts,
+                unassignedCash: Object.fromEntries(unassigned.map(u => [u._id, { total: roundCurrency(u.total), count: u.count }]))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// GET /api/admin/reports/pnl - Profit and loss for a date range, per month: sales net of GST, cost of goods sold and expenses
+router.get('/pnl', authorize(...PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const today = new Date();
+        const start = startDate ? new Date(startDate) : new Date(today.getFullYear(), today.getMonth(), 1);
+        const end = endDate ? parseEndDate(endDate) : today;
+        if (isNaN(start) || isNaN(end) || start > end) return res.status(400).json({ success: false, message: 'Invalid date range' });
+
+        // Invoiced orders count on their invoice date, the rest on the day they were billed
+        const month = (date) => ({ $dateToString: { format: '%Y-%m', date } });
+        const saleDate = { $ifNull: ['$invoicedAt', '$createdAt'] };
+        const [sales, credits, expenses] = await Promise.all([
+            Order.aggregate([
+                { $match: { status: { $in: STOCK_COMMITTED_STATUSES }, $expr: { $and: [{ $gte: [saleDate, start] }, { $lte: [saleDate, end] }] } } },
+                { $unwind: '$items' },
+                { $group: { _id: { month: month(saleDate), product: '$items.product' }, name: { $first: '$items.productName' }, quantity: { $sum: '$items.quantity' }, taxableValue: { $sum: '$items.taxableValue' } } }
+            ]),
+            CreditNote.aggregate([
+                { $match: { createdAt: { $gte: start, $lte: end } } },
+                { $unwind: '$items' },
+                { $group: { _id: { month: month('$createdAt'), product: '$items.product', condition: { $ifNull: ['$items.condition', 'resellable'] } }, quantity: { $sum: '$items.quantity' }, taxableValue: { $sum: '$items.taxableValue' } } }
+            ]),
+            Expense.aggregate([
+                { $match: { status: 'active', date: { $gte: start, $lte: end } } },
+                { $group: { _id: { month: month('$date'), category: '$category' }, total: { $sum: '$amount' } } }
+            ])
+        ]);
+
+        // Goods are costed at the weighted average purchase rate of every stock-in up to the end of the range
+        // Service charges have no product and no cost
+        const productIds = [...new Set([...sales, ...credits].filter(row => row._id.product).map(row => String(row._id.product)))].map(id => new mongoose.Types.ObjectId(id));
+        const purchases = await StockMovement.aggregate([
+            { $match: { type: 'stock_in', product: { $in: productIds }, unitPrice: { $gt: 0 }, createdAt: { $lte: end } } },
+            { $group: { _id: '$product', quantity: { $sum: '$quantity' }, value: { $sum: { $multiply: ['$quantity', '$unitPrice'] } } } }
+        ]);
+        const unitCost = new Map(purchases.map(p => [String(p._id), p.value / p.quantity]));
+        // Stock-ins recorded without a purchase rate take no part in the average
+        const unvaluedStockIns = await StockMovement.countDocuments({ type: 'stock_in', product: { $in: productIds }, unitPrice: { $not: { $gt: 0 } }, createdAt: { $lte: end } });
+
+        const blank = (key) => ({ month: key, sales: 0, returns: 0, netSales: 0, costOfGoodsSold: 0, grossProfit: 0, expenses: 0, netProfit: 0, expensesByCategory: {} });
+        const months = new Map();
+        const row = (key) => months.get(key) || months.set(key, blank(key)).get(key);
+        const uncosted = new Map();
+
+        sales.forEach(s => {
+            const r = row(s._id.month);
+            const cost = unitCost.get(String(s._id.product));
+            r.sales += s.taxableValue;
+            if (!s._id.product) return;
+            if (cost === undefined) {
+                const u = uncosted.get(String(s._id.product)) || { product: s._id.product, name: s.name, quantity: 0, taxableValue: 0 };
+                u.quantity += s.quantity;
+                u.taxableValue = roundCurrency(u.taxableValue + s.taxableValue);
+                uncosted.set(String(s._id.product), u);
+            } else {
+                r.costOfGoodsSold += s.quantity * cost;
+            }
+        });
+        // Resellable returns go back on the shelf at cost; damaged ones stay written off in cost of goods sold
+        credits.forEach(c => {
+            const r = row(c._id.month);
+            r.returns += c.taxableValue;
+            if (c._id.condition === 'resellable') r.costOfGoodsSold -= c.quantity * (unitCost.get(String(c._id.product)) || 0);
+        });
+        expenses.forEach(e => {
+            const r = row(e._id.month);
+            r.expenses += e.total;
+            r.expensesByCategory[e._id.category] = roundCurrency(e.total);
+        });
+
+        const money = ['sales', 'returns', 'netSales', 'costOfGoodsSold', 'grossProfit', 'expenses', 'netProfit'];
+        const monthly = [...months.values()].sort((a, b) => a.month.localeCompare(b.month)).map(r => {
+            r.netSales = r.sales - r.returns;
+            r.grossProfit = r.netSales - r.costOfGoodsSold;
+            r.netProfit = r.grossProfit - r.expenses;
+            money.forEach(f => { r[f] = roundCurrency(r[f]); });
+            return r;
+        });
+
+        const summary = { ...Object.fromEntries(money.map(f => [f, 0])), expensesByCategory: {} };
+        monthly.forEach(r => {
+            money.forEach(f => { summary[f] = roundCurrency(summary[f] + r[f]); });
+            Object.entries(r.expensesByCategory).forEach(([category, total]) => {
+                summary.expensesByCategory[category] = roundCurrency((summary.expensesByCategory[category] || 0) + total);
+            });
+        });
+        summary.grossMargin = summary.netSales ? roundCurrency(summary.grossProfit / summary.netSales * 100) : 0;
+        summary.netMargin = summary.netSales ? roundCurrency(summary.netProfit / summary.netSales * 100) : 0;
+
         res.json({
             success: true,
             data: {
-                chart: salesData,
-                summary: totals[0] || { totalOrders: 0, totalRevenue: 0, totalPaid: 0 }
+                startDate: start,
+                endDate: end,
+                summary,
+                monthly,
+                // Sales of products with no stock-in rate are left out of cost of goods sold
+                uncosted: [...uncosted.values()],
+                unvaluedStockIns
             }
         });
     } catch (error) {
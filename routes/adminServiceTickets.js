@@ -0,0 +1,820 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Counter from '../models/Counter.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import SerialNumber from '../models/SerialNumber.js';
+import ServiceTicket, { OPEN_SERVICE_STATUSES, SERVICE_DECISIONS, SERVICE_TRANSITIONS } from '../models/ServiceTicket.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import business from '../config/business.js';
+import { calculateOrderTotals } from '../utils/gst.js';
+import { ORDER_ERROR_CODES, resolveCustomer, saveOrder } from '../utils/orders.js';
+import { checkSerialCount, getWarrantyEnd, markSerialsSold, normaliseSerials, restockSerials } from '../utils/serials.js';
+import { recordStockMovement } from '../utils/stock.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const photoValidation = [
+    body('photos').optional().isArray().withMessage('Photos must be a list'),
+    body('photos.*.url').isURL().withMessage('Photo URL is required'),
+    body('photos.*.publicId').optional().isString(),
+    body('photos.*.caption').optional().isLength({ max: 200 })
+];
+
+const toPhotos = (photos = []) => photos.map(({ url, publicId, caption }) => ({ url, publicId, caption }));
+
+// Load a ticket the shop still holds, or send the reason it can't be changed
+const findOpenTicket = async (req, res) => {
+    const ticket = await ServiceTicket.findById(req.params.id);
+    if (!ticket) {
+        res.status(404).json({
+            success: false,
+            message: 'Service ticket not found'
+        });
+        return null;
+    }
+    if (!OPEN_SERVICE_STATUSES.includes(ticket.status)) {
+        res.status(400).json({
+            success: false,
+            message: `Ticket is ${ticket.status.replace('_', ' ')} and can no longer be changed`
+        });
+        return null;
+    }
+    return ticket;
+};
+
+const withTotals = (ticket) => ({ ...ticket.toObject(), totals: ticket.getTotals() });
+
+// Bill lines for a ticket: chargeable parts at the price they were taken at, and each labour charge as a service
+const buildServiceLines = async (ticket) => {
+    const chargeable = ticket.parts.filter(part => part.chargeable);
+    const products = await Product.find({ _id: { $in: chargeable.map(part => part.product) } });
+    return [
+        ...chargeable.map(part => ({
+            // Products deleted since are billed as they were taken
+            product: products.find(p => p._id.equals(part.product)) || { _id: part.product, name: part.productName, id: part.sku, unit: part.unit },
+            quantity: part.quantity,
+            unitPrice: part.unitPrice
+        })),
+        ...ticket.charges.map(charge => ({
+            product: { name: charge.description, id: 'SERVICE', unit: 'job', hsnCode: business.service.sac, gstRate: business.service.gstRate },
+            quantity: 1,
+            unitPrice: charge.amount
+        }))
+    ];
+};
+
+// Order payment methods for what was collected; cheques are banked like transfers
+const ORDER_PAYMENT_METHODS = { bank: 'bank_transfer', cheque: 'bank_transfer' };
+
+// @route   GET /api/admin/service-tickets
+// @desc    List tickets, by default the open ones oldest first with their age in days
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.MANAGE_SERVICE), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {
+            status: { $in: req.query.status ? req.query.status.split(',') : OPEN_SERVICE_STATUSES }
+        };
+        if (req.query.underWarranty) filter.underWarranty = req.query.underWarranty === 'true';
+        if (req.query.decision) filter['decision.type'] = req.query.decision;
+        if (req.query.product) filter.product = req.query.product;
+        if (req.query.search) {
+            filter.$or = [
+                { ticketNumber: { $regex: req.query.search, $options: 'i' } },
+                { serial: { $regex: req.query.search, $options: 'i' } },
+                { 'customer.name': { $regex: req.query.search, $options: 'i' } },
+                { 'customer.phone': { $regex: req.query.search, $options: 'i' } }
+            ];
+        }
+
+        const now = new Date();
+        const [tickets, total, byAge] = await Promise.all([
+            ServiceTicket.find(filter)
+                .select('-statusHistory')
+                .populate('intake.receivedBy', 'name')
+                .sort({ 'intake.receivedAt': 1 })
+                .skip(skip)
+                .limit(limit),
+            ServiceTicket.countDocuments(filter),
+            ServiceTicket.aggregate([
+                { $match: filter },
+                { $project: { age: { $subtract: [now, '$intake.receivedAt'] } } },
+                { $bucket: { groupBy: '$age', boundaries: [0, 3 * DAY, 8 * DAY, 15 * DAY], default: '15+', output: { count: { $sum: 1 } } } }
+            ])
+        ]);
+
+        const labels = { 0: '0-2', [3 * DAY]: '3-7', [8 * DAY]: '8-14', '15+': '15+' };
+        res.json({
+            success: true,
+            data: {
+                tickets: tickets.map(ticket => ({
+                    ...withTotals(ticket),
+                    ageDays: Math.floor((now - ticket.intake.receivedAt) / DAY)
+                })),
+                byAge: Object.fromEntries(Object.values(labels).map(label => [label, byAge.find(b => labels[b._id] === label)?.count || 0])),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get service tickets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/service-tickets/:id
+// @desc    Get a ticket with its history, parts and charges
+// @access  Private (all admin roles)
+router.get('/:id', authorize(...PERMISSIONS.MANAGE_SERVICE), async (req, res) => {
+    try {
+        const ticket = await ServiceTicket.findById(req.params.id)
+            .populate('intake.receivedBy diagnosis.diagnosedBy decision.decidedBy handover.handedOverBy statusHistory.changedBy', 'name')
+            .populate('order', 'orderNumber invoiceNumber invoicedAt createdAt');
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service ticket not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Get service ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets
+// @desc    Take in a unit for service; the serial number finds the sale and warranty
+// @access  Private (all admin roles)
+router.post('/', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('serial').optional().trim().isLength({ max: 60 }),
+    body('productId').optional().trim(),
+    body('orderId').optional().isMongoId().withMessage('Invalid order'),
+    body('customer.name').optional().trim(),
+    body('customer.phone').optional({ values: 'falsy' }).matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit phone number'),
+    body('complaint').trim().notEmpty().withMessage('Complaint is required').isLength({ max: 1000 }),
+    body('condition').optional().isLength({ max: 1000 }),
+    body('accessories').optional().isLength({ max: 500 }),
+    ...photoValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { productId, orderId, customer = {}, complaint, condition, accessories, photos } = req.body;
+        const serial = req.body.serial ? normaliseSerials([req.body.serial])[0] : undefined;
+
+        let product = productId ? await Product.findOne({ id: productId }) : null;
+        if (productId && !product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // A serial sold here gives the product, the bill and the warranty
+        let unit = null;
+        if (serial) {
+            const units = await SerialNumber.find({ serial, ...(product && { product: product._id }) });
+            if (units.length > 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'More than one product has this serial number; give the product ID'
+                });
+            }
+            unit = units[0] || null;
+            if (unit && !product) product = await Product.findById(unit.product);
+        }
+        if (!product) {
+            return res.status(400).json({
+                success: false,
+                message: 'Give the product ID, or the serial number of a unit sold here'
+            });
+        }
+
+        const order = (unit?.order || orderId) ? await Order.findById(unit?.order || orderId) : null;
+        if (orderId && !order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        if (order && !order.items.some(item => item.product?.equals(product._id))) {
+            return res.status(400).json({
+                success: false,
+                message: `${product.name} is not on order ${order.orderNumber}`
+            });
+        }
+
+        // Units without a serial record are covered from the date on the bill
+        const receivedAt = new Date();
+        const warrantyEnd = unit?.soldAt
+            ? unit.warrantyEnd
+            : order && getWarrantyEnd(order.invoicedAt || order.createdAt, product.warrantyMonths);
+        const buyer = {
+            name: customer.name || unit?.customer?.name || order?.customer?.name,
+            phone: customer.phone || unit?.customer?.phone || order?.customer?.phone
+        };
+        if (!buyer.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Customer name is required'
+            });
+        }
+
+        const ticket = new ServiceTicket({
+            serial,
+            serialNumber: unit?._id,
+            product: product._id,
+            productName: product.name,
+            order: order?._id,
+            orderNumber: order?.orderNumber,
+            customer: buyer,
+            underWarranty: Boolean(warrantyEnd) && receivedAt <= warrantyEnd,
+            warrantyEnd,
+            intake: { complaint, condition, accessories, photos: toPhotos(photos), receivedBy: req.user._id, receivedAt },
+            statusHistory: [{ to: 'received', changedBy: req.user._id, note: 'Unit received' }],
+            createdBy: req.user._id
+        });
+        await mongoose.connection.transaction(async (session) => {
+            ticket.ticketNumber = await Counter.next('service_ticket', { session });
+            await ticket.save({ session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: ticket.underWarranty ? 'Service ticket created; unit is under warranty' : 'Service ticket created',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Create service ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets/:id/photos
+// @desc    Add photos of the unit, e.g. damage found while diagnosing
+// @access  Private (all admin roles)
+router.post('/:id/photos', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('photos').isArray({ min: 1 }).withMessage('Photos are required'),
+    ...photoValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        ticket.intake.photos.push(...toPhotos(req.body.photos));
+        await ticket.save();
+
+        res.json({
+            success: true,
+            message: 'Photos added',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Add service ticket photos error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets/:id/diagnosis
+// @desc    Record the diagnosis and what will be done: repair, replace, send to the manufacturer or reject
+// @access  Private (all admin roles)
+router.post('/:id/diagnosis', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('notes').trim().notEmpty().withMessage('Diagnosis is required').isLength({ max: 2000 }),
+    body('decision').isIn(SERVICE_DECISIONS).withMessage(`Decision must be one of: ${SERVICE_DECISIONS.join(', ')}`),
+    body('decisionNote').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        if (ticket.status === 'ready') {
+            return res.status(400).json({
+                success: false,
+                message: 'Ticket is ready for handover; move it back before changing the diagnosis'
+            });
+        }
+
+        const { notes, decision, decisionNote } = req.body;
+        if (decision === 'reject' && !decisionNote) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required when rejecting a claim'
+            });
+        }
+
+        const now = new Date();
+        ticket.diagnosis = { notes, diagnosedBy: req.user._id, diagnosedAt: now };
+        ticket.decision = { type: decision, note: decisionNote, decidedBy: req.user._id, decidedAt: now };
+        if (ticket.status === 'received') ticket.setStatus('diagnosed', req.user._id, `Decision: ${decision}`);
+        await ticket.save();
+
+        res.json({
+            success: true,
+            message: 'Diagnosis recorded',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Service ticket diagnosis error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/service-tickets/:id/status
+// @desc    Move a ticket on: into repair, out to the manufacturer and back, ready for handover, or cancelled
+// @access  Private (all admin roles)
+router.put('/:id/status', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('status').isIn(Object.keys(SERVICE_TRANSITIONS)).withMessage('Invalid status'),
+    body('note').optional().isLength({ max: 500 }),
+    body('claimNumber').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        const { status, note, claimNumber } = req.body;
+        if (status === 'handed_over') {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the handover route to hand the unit back'
+            });
+        }
+        if (!SERVICE_TRANSITIONS[ticket.status].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change a ${ticket.status.replace('_', ' ')} ticket to ${status.replace('_', ' ')}`
+            });
+        }
+
+        // The decision decides where a diagnosed unit goes
+        const decision = ticket.decision?.type;
+        if (ticket.status === 'diagnosed' && status === 'in_repair' && !['repair', 'replace'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: `Decision is ${decision}; change the diagnosis to repair or replace first`
+            });
+        }
+        if (ticket.status === 'diagnosed' && status === 'at_manufacturer' && decision !== 'manufacturer') {
+            return res.status(400).json({
+                success: false,
+                message: `Decision is ${decision}; change the diagnosis to manufacturer first`
+            });
+        }
+        if (status === 'cancelled') {
+            if (!note) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A reason is required to cancel a ticket'
+                });
+            }
+            if (ticket.parts.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Remove the parts used before cancelling, so they go back into stock'
+                });
+            }
+        }
+
+        if (status === 'at_manufacturer') {
+            if (claimNumber) ticket.manufacturerClaim.claimNumber = claimNumber;
+            ticket.manufacturerClaim.sentAt = new Date();
+            ticket.manufacturerClaim.returnedAt = undefined;
+        }
+        if (ticket.status === 'at_manufacturer') ticket.manufacturerClaim.returnedAt = new Date();
+        ticket.setStatus(status, req.user._id, note);
+        await ticket.save();
+
+        res.json({
+            success: true,
+            message: `Ticket marked ${status.replace('_', ' ')}`,
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Update service ticket status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets/:id/parts
+// @desc    Take parts or a replacement unit from stock for the job
+// @access  Private (all admin roles)
+router.post('/:id/parts', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('productId').notEmpty().withMessage('Product ID is required'),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('serials').optional().isArray().withMessage('Serials must be a list'),
+    body('chargeable').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        const product = await Product.findOne({ id: req.body.productId });
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const quantity = Number(req.body.quantity);
+        const serials = normaliseSerials(req.body.serials);
+        const serialProblem = checkSerialCount(product, serials, quantity);
+        if (serialProblem) {
+            return res.status(400).json({
+                success: false,
+                message: serialProblem
+            });
+        }
+
+        // Warranty work is free unless told otherwise
+        const chargeable = req.body.chargeable ?? !ticket.underWarranty;
+        await mongoose.connection.transaction(async (session) => {
+            const movement = await recordStockMovement({
+                product,
+                type: 'stock_out',
+                quantity,
+                session,
+                reference: { type: 'service_ticket', id: ticket._id },
+                unitPrice: product.price,
+                totalValue: product.price * quantity,
+                notes: `Service ticket ${ticket.ticketNumber}`,
+                createdBy: req.user._id
+            });
+
+            // A replacement under warranty keeps the original unit's cover; otherwise its own starts now
+            const now = new Date();
+            await markSerialsSold(product, serials, {
+                serviceTicket: ticket._id,
+                soldAt: now,
+                customer: ticket.customer,
+                warrantyMonths: product.warrantyMonths || 0,
+                warrantyStart: now,
+                warrantyEnd: ticket.underWarranty && ticket.warrantyEnd ? ticket.warrantyEnd : getWarrantyEnd(now, product.warrantyMonths)
+            }, session);
+
+            ticket.parts.push({
+                product: product._id,
+                productName: product.name,
+                sku: product.id,
+                quantity,
+                unit: product.unit,
+                unitPrice: product.price,
+                serials,
+                chargeable,
+                movement: movement._id,
+                addedBy: req.user._id
+            });
+            await ticket.save({ session });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Part added',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        if (['INSUFFICIENT_STOCK', 'INVALID_SERIALS'].includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Add service part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/service-tickets/:id/parts/:partId
+// @desc    Return an unused part to stock
+// @access  Private (all admin roles)
+router.delete('/:id/parts/:partId', authorize(...PERMISSIONS.MANAGE_SERVICE), async (req, res) => {
+    try {
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        const part = ticket.parts.id(req.params.partId);
+        if (!part) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part not found'
+            });
+        }
+
+        await mongoose.connection.transaction(async (session) => {
+            // Products deleted since have no balance to restore
+            const product = await Product.findById(part.product).session(session);
+            if (product) {
+                await recordStockMovement({
+                    product,
+                    type: 'return',
+                    quantity: part.quantity,
+                    session,
+                    reference: { type: 'service_ticket', id: ticket._id },
+                    unitPrice: part.unitPrice,
+                    totalValue: part.unitPrice * part.quantity,
+                    notes: `Unused part, service ticket ${ticket.ticketNumber}`,
+                    createdBy: req.user._id
+                });
+            }
+            if (part.serials.length) await restockSerials({ serviceTicket: ticket._id, product: part.product, serial: { $in: part.serials } }, session);
+            part.deleteOne();
+            await ticket.save({ session });
+        });
+
+        res.json({
+            success: true,
+            message: 'Part returned to stock',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Remove service part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets/:id/charges
+// @desc    Add a labour or other charge for out-of-warranty work
+// @access  Private (all admin roles)
+router.post('/:id/charges', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('description').trim().notEmpty().withMessage('Description is required').isLength({ max: 200 }),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        ticket.charges.push({ description: req.body.description, amount: Number(req.body.amount), addedBy: req.user._id });
+        await ticket.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Charge added',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Add service charge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/service-tickets/:id/charges/:chargeId
+// @desc    Remove a charge added in error
+// @access  Private (all admin roles)
+router.delete('/:id/charges/:chargeId', authorize(...PERMISSIONS.MANAGE_SERVICE), async (req, res) => {
+    try {
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        const charge = ticket.charges.id(req.params.chargeId);
+        if (!charge) {
+            return res.status(404).json({
+                success: false,
+                message: 'Charge not found'
+            });
+        }
+
+        charge.deleteOne();
+        await ticket.save();
+
+        res.json({
+            success: true,
+            message: 'Charge removed',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        console.error('Remove service charge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/service-tickets/:id/handover
+// @desc    Hand the unit back to the customer, invoicing and collecting any charges
+// @access  Private (all admin roles)
+router.post('/:id/handover', authorize(...PERMISSIONS.MANAGE_SERVICE), [
+    body('amountCollected').optional().isFloat({ min: 0 }).withMessage('Amount collected cannot be negative'),
+    body('paymentMethod').optional().isIn(ServiceTicket.schema.path('handover.paymentMethod').enumValues).withMessage('Invalid payment method'),
+    body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await findOpenTicket(req, res);
+        if (!ticket) return;
+
+        if (ticket.status !== 'ready') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only tickets marked ready can be handed over'
+            });
+        }
+
+        // Chargeable parts and labour are billed on a service invoice with GST
+        const lines = await buildServiceLines(ticket);
+        let invoice = null;
+        if (lines.length) {
+            const { account, billedCustomer } = await resolveCustomer(undefined, { name: ticket.customer.name, phone: ticket.customer.phone });
+            const billing = calculateOrderTotals(lines, billedCustomer);
+            invoice = new Order({
+                channel: 'service',
+                serviceTicket: ticket._id,
+                customerId: account?._id,
+                customer: billedCustomer,
+                ...billing,
+                amountDue: billing.grandTotal,
+                status: 'completed',
+                statusHistory: [{ to: 'completed', changedBy: req.user._id, note: `Service ticket ${ticket.ticketNumber}` }],
+                invoicedAt: new Date(),
+                invoicedBy: req.user._id,
+                // Parts left stock when they were taken for the job
+                stockDeducted: true,
+                createdBy: req.user._id
+            });
+        }
+
+        const total = invoice ? invoice.grandTotal : 0;
+        const amountCollected = req.body.amountCollected !== undefined ? Number(req.body.amountCollected) : total;
+        const { paymentMethod, note } = req.body;
+        if (amountCollected > total) {
+            return res.status(400).json({
+                success: false,
+                message: `Charges come to ${total}; cannot collect more than that`
+            });
+        }
+        if (amountCollected > 0 && !paymentMethod) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is required when collecting charges'
+            });
+        }
+        if (amountCollected < total && !note) {
+            return res.status(400).json({
+                success: false,
+                message: `Charges come to ${total}; add a note to collect less (the rest stays due on the invoice)`
+            });
+        }
+
+        // What is collected goes through the payment ledger, so it reaches the cash drawer and the accounts
+        const payment = amountCollected > 0
+            ? new Payment({ order: invoice._id, serviceTicket: ticket._id, amount: amountCollected, method: paymentMethod, notes: `Service ticket ${ticket.ticketNumber}`, collectedBy: req.user._id })
+            : null;
+        if (invoice) invoice.paymentMethod = amountCollected < total ? 'credit' : ORDER_PAYMENT_METHODS[paymentMethod] || paymentMethod;
+
+        const now = new Date();
+        await mongoose.connection.transaction(async (session) => {
+            // Claim the ticket first so a repeated handover cannot bill it twice
+            const claimed = await ServiceTicket.findOneAndUpdate({ _id: ticket._id, status: 'ready' }, { status: 'handed_over' }, { session });
+            if (!claimed) {
+                const error = new Error('Ticket has already been handed over');
+                error.code = 'ALREADY_HANDED_OVER';
+                throw error;
+            }
+            if (invoice) await saveOrder(invoice, req.user, { invoice: true, payments: payment ? [payment] : [], session });
+
+            // The faulty unit is taken back for good; its replacement carries the cover from here
+            if (ticket.decision?.type === 'replace' && ticket.serialNumber) {
+                await SerialNumber.updateOne(
+                    { _id: ticket.serialNumber, status: 'sold' },
+                    { $set: { status: 'replaced', replacedBy: ticket._id, replacedAt: now, warrantyEnd: now } },
+                    { session }
+                );
+            }
+
+            ticket.handover = {
+                amountCollected,
+                paymentMethod,
+                note,
+                invoice: invoice?._id,
+                invoiceNumber: invoice?.invoiceNumber,
+                payment: payment?._id,
+                handedOverBy: req.user._id,
+                handedOverAt: now
+            };
+            ticket.setStatus('handed_over', req.user._id, note);
+            await ticket.save({ session });
+        });
+
+        res.json({
+            success: true,
+            message: invoice ? `Unit handed over; invoice ${invoice.invoiceNumber}` : 'Unit handed over',
+            data: withTotals(ticket)
+        });
+    } catch (error) {
+        if ([...ORDER_ERROR_CODES, 'ALREADY_HANDED_OVER'].includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Service ticket handover error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
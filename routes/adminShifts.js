@@ -0,0 +1,332 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Payment from '../models/Payment.js';
+import Shift from '../models/Shift.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { roundCurrency } from '../utils/gst.js';
+import { getShiftTotals } from '../utils/shifts.js';
+import business from '../config/business.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Staff work their own shift; admins may act on anyone's
+const canActOn = (req, shift) => String(shift.openedBy._id || shift.openedBy) === String(req.user._id)
+    || PERMISSIONS.MANAGE_SHIFTS.includes(req.user.role);
+
+// Load a shift the user may change, or send the reason they can't
+const findOpenShift = async (req, res) => {
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+        res.status(404).json({
+            success: false,
+            message: 'Shift not found'
+        });
+        return null;
+    }
+    if (!canActOn(req, shift)) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only change your own shift'
+        });
+        return null;
+    }
+    if (shift.status === 'closed') {
+        res.status(400).json({
+            success: false,
+            message: 'Shift is closed and locked'
+        });
+        return null;
+    }
+    return shift;
+};
+
+// Open shifts show running totals; closed ones the figures locked at closing
+const withTotals = async (shift) => ({
+    ...shift.toObject(),
+    expected: shift.status === 'open' ? await getShiftTotals(shift) : shift.expected
+});
+
+// @route   GET /api/admin/shifts
+// @desc    List shifts, newest first
+// @access  Private (all admin roles)
+router.get('/', authorize(...PERMISSIONS.CREATE_ORDERS), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter; staff only see their own shifts
+        const filter = {};
+        if (req.query.counter) filter.counter = req.query.counter;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.openedBy) filter.openedBy = req.query.openedBy;
+        if (!PERMISSIONS.MANAGE_SHIFTS.includes(req.user.role)) filter.openedBy = req.user._id;
+        if (req.query.startDate || req.query.endDate) {
+            filter.openedAt = {};
+            if (req.query.startDate) filter.openedAt.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.openedAt.$lte = new Date(req.query.endDate);
+        }
+
+        const [shifts, total] = await Promise.all([
+            Shift.find(filter)
+                .select('-cashMovements')
+                .populate('openedBy closedBy', 'name')
+                .sort({ openedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Shift.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                shifts,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get shifts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/shifts/current
+// @desc    The logged-in user's open shift with running totals
+// @access  Private (all admin roles)
+router.get('/current', authorize(...PERMISSIONS.CREATE_ORDERS), async (req, res) => {
+    try {
+        const shift = await Shift.findOne({ openedBy: req.user._id, status: 'open' });
+
+        res.json({
+            success: true,
+            data: shift ? await withTotals(shift) : null
+        });
+    } catch (error) {
+        console.error('Get current shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/shifts/:id
+// @desc    Get a shift with its cash movements and cash payments
+// @access  Private (own shift, or admin)
+router.get('/:id', authorize(...PERMISSIONS.CREATE_ORDERS), async (req, res) => {
+    try {
+        const shift = await Shift.findById(req.params.id)
+            .populate('openedBy closedBy cashMovements.recordedBy', 'name');
+        if (!shift) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+        if (!canActOn(req, shift)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own shifts'
+            });
+        }
+
+        const payments = await Payment.find({ shift: shift._id })
+            .populate('order', 'orderNumber invoiceNumber customer.name')
+            .sort({ paidAt: 1 });
+
+        res.json({
+            success: true,
+            data: { ...(await withTotals(shift)), payments }
+        });
+    } catch (error) {
+        console.error('Get shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/shifts/open
+// @desc    Open a shift at a counter with an opening float
+// @access  Private (all admin roles)
+router.post('/open', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('counter').isIn(business.counters).withMessage(`Counter must be one of: ${business.counters.join(', ')}`),
+    body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float cannot be negative'),
+    body('notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { counter, openingFloat, notes } = req.body;
+        const shift = await Shift.create({
+            counter,
+            openingFloat,
+            notes,
+            openedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift opened',
+            data: shift
+        });
+    } catch (error) {
+        // The partial unique indexes allow one open shift per counter and per user
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: error.keyPattern?.counter
+                    ? `${req.body.counter} already has an open shift`
+                    : 'You already have an open shift. Close it first.'
+            });
+        }
+        console.error('Open shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/shifts/:id/cash
+// @desc    Record cash put into or taken out of the drawer (petty expenses, bank deposits)
+// @access  Private (own shift, or admin)
+router.post('/:id/cash', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('type').isIn(['in', 'out']).withMessage('Type must be in or out'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('reason').isIn(Shift.schema.path('cashMovements').schema.path('reason').enumValues).withMessage('Invalid reason'),
+    body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const shift = await findOpenShift(req, res);
+        if (!shift) return;
+
+        const { type, amount, reason, note } = req.body;
+        if (reason === 'other' && !note) {
+            return res.status(400).json({
+                success: false,
+                message: 'A note is required when the reason is other'
+            });
+        }
+
+        // Cash can't leave a drawer that doesn't hold it
+        const totals = await getShiftTotals(shift);
+        if (type === 'out' && Number(amount) > totals.cash) {
+            return res.status(400).json({
+                success: false,
+                message: `Drawer should only hold ${totals.cash}`
+            });
+        }
+
+        shift.cashMovements.push({ type, amount, reason, note, recordedBy: req.user._id });
+        await shift.save();
+
+        res.status(201).json({
+            success: true,
+            message: type === 'in' ? 'Cash in recorded' : 'Cash out recorded',
+            data: await withTotals(shift)
+        });
+    } catch (error) {
+        console.error('Record cash movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/shifts/:id/close
+// @desc    Close a shift with the counted cash; the shift is locked afterwards
+// @access  Private (own shift, or admin)
+router.post('/:id/close', authorize(...PERMISSIONS.CREATE_ORDERS), [
+    body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash is required'),
+    body('notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const shift = await findOpenShift(req, res);
+        if (!shift) return;
+
+        // The shift is marked closed before its totals are read, in one transaction. Cash payments
+        // write the shift as they are assigned to it, so one recorded meanwhile either conflicts
+        // and is retried, or finds the shift closed and goes into no drawer
+        let closed;
+        await mongoose.connection.transaction(async (session) => {
+            closed = await Shift.findOneAndUpdate(
+                { _id: shift._id, status: 'open' },
+                { $set: { status: 'closed', closedBy: req.user._id, closedAt: new Date() } },
+                { new: true, session }
+            );
+            if (!closed) {
+                const error = new Error('Shift is closed and locked');
+                error.code = 'SHIFT_CLOSED';
+                throw error;
+            }
+            const expected = await getShiftTotals(closed, session);
+            const countedCash = Number(req.body.countedCash);
+            closed.expected = expected;
+            closed.countedCash = countedCash;
+            closed.difference = roundCurrency(countedCash - expected.cash);
+            if (req.body.notes) closed.notes = [closed.notes, req.body.notes].filter(Boolean).join('\n');
+            await closed.save({ session });
+        });
+
+        const message = closed.difference === 0
+            ? 'Shift closed; drawer balances'
+            : `Shift closed; drawer is ${closed.difference < 0 ? 'short' : 'over'} by ${Math.abs(closed.difference)}`;
+
+        res.json({
+            success: true,
+            message,
+            data: closed
+        });
+    } catch (error) {
+        if (error.code === 'SHIFT_CLOSED') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Close shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
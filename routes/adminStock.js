@@ -1,8 +1,12 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult, query } from 'express-validator';
 import Product from '../models/Product.js';
+import SerialNumber from '../models/SerialNumber.js';
 import StockMovement from '../models/StockMovement.js';
 import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { checkSerialCount, normaliseSerials, receiveSerials } from '../utils/serials.js';
+import { recordStockMovement } from '../utils/stock.js';
 
 const router = express.Router();
 
@@ -71,8 +75,11 @@ router.get('/summary', authorize(...PERMISSIONS.MANAGE_STOCK), async (req, res)
             recentMovements
         ] = await Promise.all([
             Product.countDocuments(),
-            Product.countDocuments({ inStock: true }),
-            Product.countDocuments({ inStock: true }), // Simplified - would need stock quantity field
+            Product.countDocuments({ stockQuantity: { $gt: 0 } }),
+            Product.countDocuments({
+                stockQuantity: { $gt: 0 },
+                $expr: { $lte: ['$stockQuantity', '$reorderLevel'] }
+            }),
             StockMovement.aggregate([
                 { $group: { _id: '$type', count: { $sum: 1 }, totalQuantity: { $sum: '$quantity' } } }
             ])
@@ -105,13 +112,60 @@ router.get('/summary', authorize(...PERMISSIONS.MANAGE_STOCK), async (req, res)
     }
 });
 
+// @route   GET /api/admin/stock/serials
+// @desc    Find serial numbers by product, status or a partial serial
+// @access  Private (admin, super_admin)
+router.get('/serials', authorize(...PERMISSIONS.MANAGE_STOCK), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Build filter
+        const filter = {};
+        if (req.query.product) filter.product = req.query.product;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.order) filter.order = req.query.order;
+        if (req.query.search) filter.serial = { $regex: req.query.search.trim().toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+        const [serials, total] = await Promise.all([
+            SerialNumber.find(filter)
+                .populate('product', 'id name')
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            SerialNumber.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                serials,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get serials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   POST /api/admin/stock/in
 // @desc    Record stock in
 // @access  Private (admin, super_admin)
 router.post('/in', authorize(...PERMISSIONS.MANAGE_STOCK), [
     body('productId').notEmpty().withMessage('Product ID is required'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be positive')
+    body('unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+    body('serials').optional().isArray().withMessage('Serials must be a list')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -123,6 +177,7 @@ router.post('/in', authorize(...PERMISSIONS.MANAGE_STOCK), [
         }
 
         const { productId, quantity, unitPrice, supplierName, invoiceNo, notes } = req.body;
+        const serials = normaliseSerials(req.body.serials);
 
         // Find product
         const product = await Product.findOne({ id: productId });
@@ -133,39 +188,51 @@ router.post('/in', authorize(...PERMISSIONS.MANAGE_STOCK), [
             });
         }
 
-        // Calculate previous and new stock (simplified - using inStock boolean)
-        const previousStock = product.inStock ? 1 : 0;
-        const newStock = previousStock + quantity;
+        // Serial-tracked products need one serial number per unit received
+        const serialProblem = checkSerialCount(product, serials, quantity);
+        if (serialProblem) {
+            return res.status(400).json({
+                success: false,
+                message: serialProblem
+            });
+        }
 
-        // Create stock movement
-        const movement = new StockMovement({
-            product: product._id,
-            type: 'stock_in',
-            quantity,
-            previousStock,
-            newStock,
-            unitPrice: unitPrice || product.price,
-            totalValue: (unitPrice || product.price) * quantity,
-            supplier: {
-                name: supplierName,
-                invoiceNo
-            },
-            notes,
-            createdBy: req.user._id
+        // Update on-hand quantity and record the movement with the units' serials.
+        // Stock-ins are only valued at a purchase rate entered here, never the selling price,
+        // so cost of goods and purchase vouchers leave unvalued ones out
+        const cost = unitPrice !== undefined && unitPrice !== '' ? Number(unitPrice) : undefined;
+        let movement;
+        let received = [];
+        await mongoose.connection.transaction(async (session) => {
+            movement = await recordStockMovement({
+                product,
+                type: 'stock_in',
+                quantity,
+                session,
+                unitPrice: cost,
+                totalValue: cost !== undefined ? cost * quantity : undefined,
+                supplier: {
+                    name: supplierName,
+                    invoiceNo
+                },
+                notes,
+                createdBy: req.user._id
+            });
+            if (serials.length) received = await receiveSerials(movement, serials, session);
         });
 
-        await movement.save();
-
-        // Update product stock
-        product.inStock = true;
-        await product.save();
-
         res.status(201).json({
             success: true,
             message: 'Stock in recorded successfully',
-            data: movement
+            data: serials.length ? { ...movement.toObject(), serials: received.map(s => s.serial) } : movement
         });
     } catch (error) {
+        if (error.code === 'INVALID_SERIALS') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Stock in error:', error);
         res.status(500).json({
             success: false,
@@ -201,37 +268,33 @@ router.post('/out', authorize(...PERMISSIONS.MANAGE_STOCK), [
             });
         }
 
-        // Calculate previous and new stock
-        const previousStock = product.inStock ? quantity : 0;
-        const newStock = Math.max(0, previousStock - quantity);
-
-        // Create stock movement
-        const movement = new StockMovement({
-            product: product._id,
-            type: 'stock_out',
-            quantity,
-            previousStock,
-            newStock,
-            unitPrice: product.price,
-            totalValue: product.price * quantity,
-            notes: notes || reason,
-            createdBy: req.user._id
+        // Update on-hand quantity and record the movement together
+        let movement;
+        await mongoose.connection.transaction(async (session) => {
+            movement = await recordStockMovement({
+                product,
+                type: 'stock_out',
+                quantity,
+                session,
+                unitPrice: product.price,
+                totalValue: product.price * quantity,
+                notes: notes || reason,
+                createdBy: req.user._id
+            });
         });
 
-        await movement.save();
-
-        // Update product stock if depleted
-        if (newStock <= 0) {
-            product.inStock = false;
-            await product.save();
-        }
-
         res.status(201).json({
             success: true,
             message: 'Stock out recorded successfully',
             data: movement
         });
     } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Stock out error:', error);
         res.status(500).json({
             success: false,
@@ -246,7 +309,8 @@ router.post('/out', authorize(...PERMISSIONS.MANAGE_STOCK), [
 router.post('/adjustment', authorize(...PERMISSIONS.MANAGE_STOCK), [
     body('productId').notEmpty().withMessage('Product ID is required'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('type').isIn(['adjustment', 'return', 'damage']).withMessage('Invalid adjustment type')
+    body('type').isIn(['adjustment', 'return', 'damage']).withMessage('Invalid adjustment type'),
+    body('direction').if(body('type').equals('adjustment')).isIn(['in', 'out']).withMessage('Direction (in or out) is required for adjustments')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -257,7 +321,7 @@ router.post('/adjustment', authorize(...PERMISSIONS.MANAGE_STOCK), [
             });
         }
 
-        const { productId, quantity, type, notes } = req.body;
+        const { productId, quantity, type, direction, notes } = req.body;
 
         // Find product
         const product = await Product.findOne({ id: productId });
@@ -268,33 +332,32 @@ router.post('/adjustment', authorize(...PERMISSIONS.MANAGE_STOCK), [
             });
         }
 
-        // Calculate stock
-        const previousStock = product.inStock ? 1 : 0;
-        const newStock = type === 'return' ? previousStock + quantity : Math.max(0, previousStock - quantity);
-
-        // Create stock movement
-        const movement = new StockMovement({
-            product: product._id,
-            type,
-            quantity,
-            previousStock,
-            newStock,
-            notes,
-            createdBy: req.user._id
+        // Returns add stock, damage removes it, adjustments go either way
+        let movement;
+        await mongoose.connection.transaction(async (session) => {
+            movement = await recordStockMovement({
+                product,
+                type,
+                quantity,
+                direction,
+                session,
+                notes,
+                createdBy: req.user._id
+            });
         });
 
-        await movement.save();
-
-        // Update product stock
-        product.inStock = newStock > 0;
-        await product.save();
-
         res.status(201).json({
             success: true,
             message: 'Stock adjustment recorded successfully',
             data: movement
         });
     } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Stock adjustment error:', error);
         res.status(500).json({
             success: false,
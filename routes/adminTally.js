@@ -0,0 +1,245 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import StockMovement from '../models/StockMovement.js';
+import { authenticate, authorize, PERMISSIONS } from '../middleware/auth.js';
+import { buildPurchaseVoucher, buildReceiptVoucher, buildReversalVoucher, buildSalesVoucher, buildTallyXml, groupPurchases, TALLY_VOUCHER_TYPES } from '../utils/tally.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Where each voucher type comes from, the field flagging a document as exported
+// and how its documents become vouchers
+const paymentWithParty = (filter) => Payment.find(filter)
+    .populate({ path: 'order', select: 'orderNumber invoiceNumber customer customerId', populate: { path: 'customerId', select: 'name tallyLedger' } });
+
+const SOURCES = {
+    sales: {
+        model: Order,
+        flag: 'tallyExport',
+        filter: (start, end) => ({ invoiceNumber: { $ne: null }, status: { $ne: 'cancelled' }, invoicedAt: { $gte: start, $lte: end } }),
+        load: (filter) => Order.find(filter).populate('customerId', 'name tallyLedger').sort({ invoicedAt: 1 }),
+        build: (orders) => orders.map(buildSalesVoucher)
+    },
+    receipts: {
+        model: Payment,
+        flag: 'tallyExport',
+        filter: (start, end) => ({ status: 'active', paidAt: { $gte: start, $lte: end } }),
+        load: (filter) => paymentWithParty(filter).sort({ paidAt: 1 }),
+        build: (payments) => payments.map(buildReceiptVoucher)
+    },
+    // Receipts and refunds voided after they went to Tally, by the date they were voided
+    reversals: {
+        model: Payment,
+        flag: 'tallyReversal',
+        filter: (start, end) => ({ status: 'voided', 'tallyExport.batch': { $ne: null }, voidedAt: { $gte: start, $lte: end } }),
+        load: (filter) => paymentWithParty(filter).sort({ voidedAt: 1 }),
+        build: (payments) => payments.map(buildReversalVoucher)
+    },
+    // Only stock-ins with a purchase rate entered; the rest have no cost to post and /pending reports them
+    purchases: {
+        model: StockMovement,
+        flag: 'tallyExport',
+        filter: (start, end) => ({ type: 'stock_in', unitPrice: { $gt: 0 }, createdAt: { $gte: start, $lte: end } }),
+        load: (filter) => StockMovement.find(filter).populate('product', 'name').sort({ createdAt: 1 }),
+        build: (movements) => groupPurchases(movements).map(buildPurchaseVoucher).filter(Boolean)
+    }
+};
+
+// Filter for the documents of a type in a batch, or not yet exported when batch is null
+const inBatch = (type, batch) => ({ [`${SOURCES[type].flag}.batch`]: batch });
+
+// Build the XML for everything flagged with a batch
+const buildBatch = async (batch, types = TALLY_VOUCHER_TYPES) => {
+    const vouchers = [];
+    for (const type of types) {
+        const docs = await SOURCES[type].load(inBatch(type, batch));
+        vouchers.push(...SOURCES[type].build(docs));
+    }
+    return { vouchers, xml: buildTallyXml(vouchers) };
+};
+
+const sendXml = (res, batch, xml) => {
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="tally-${batch}.xml"`);
+    res.setHeader('X-Tally-Batch', batch);
+    res.send(xml);
+};
+
+const rangeValidation = [
+    body('startDate').isISO8601().withMessage('Start date is required'),
+    body('endDate').isISO8601().withMessage('End date is required'),
+    body('types').optional().isArray({ min: 1 }).withMessage('Types must be a list'),
+    body('types.*').isIn(TALLY_VOUCHER_TYPES).withMessage(`Types must be among: ${TALLY_VOUCHER_TYPES.join(', ')}`)
+];
+
+// @route   GET /api/admin/tally/pending
+// @desc    Count documents in a date range not yet exported to Tally, and stock-ins left out for having no value
+// @access  Private (admin, super_admin)
+router.get('/pending', authorize(...PERMISSIONS.EXPORT_ACCOUNTS), async (req, res) => {
+    try {
+        const start = req.query.startDate ? new Date(req.query.startDate) : new Date(0);
+        const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+
+        const [unpricedPurchases, ...counts] = await Promise.all([
+            StockMovement.countDocuments({ type: 'stock_in', unitPrice: { $not: { $gt: 0 } }, createdAt: { $gte: start, $lte: end } }),
+            ...TALLY_VOUCHER_TYPES.map(type => SOURCES[type].model.countDocuments({
+                ...SOURCES[type].filter(start, end),
+                ...inBatch(type, null)
+            }))
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...Object.fromEntries(TALLY_VOUCHER_TYPES.map((type, index) => [type, counts[index]])),
+                unpricedPurchases
+            }
+        });
+    } catch (error) {
+        console.error('Get pending Tally export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/tally/exports
+// @desc    List past export batches, newest first
+// @access  Private (admin, super_admin)
+router.get('/exports', authorize(...PERMISSIONS.EXPORT_ACCOUNTS), async (req, res) => {
+    try {
+        const results = await Promise.all(TALLY_VOUCHER_TYPES.map(type => SOURCES[type].model.aggregate([
+            { $match: inBatch(type, { $ne: null }) },
+            { $group: { _id: `$${SOURCES[type].flag}.batch`, exportedAt: { $max: `$${SOURCES[type].flag}.exportedAt` }, count: { $sum: 1 } } }
+        ])));
+
+        const batches = new Map();
+        results.forEach((rows, index) => rows.forEach(row => {
+            const batch = batches.get(row._id) || { batch: row._id, exportedAt: row.exportedAt, ...Object.fromEntries(TALLY_VOUCHER_TYPES.map(type => [type, 0])) };
+            batch[TALLY_VOUCHER_TYPES[index]] = row.count;
+            batches.set(row._id, batch);
+        }));
+
+        res.json({
+            success: true,
+            data: [...batches.values()].sort((a, b) => b.exportedAt - a.exportedAt).slice(0, 50)
+        });
+    } catch (error) {
+        console.error('Get Tally exports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/tally/export
+// @desc    Export vouchers not yet sent to Tally as import XML and flag them as exported.
+//          Party, sales, GST, cash and bank ledgers must already exist in Tally.
+// @access  Private (admin, super_admin)
+router.post('/export', authorize(...PERMISSIONS.EXPORT_ACCOUNTS), rangeValidation, async (req, res) => {
+    const batch = new mongoose.Types.ObjectId().toString();
+    const types = req.body.types || TALLY_VOUCHER_TYPES;
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const start = new Date(req.body.startDate);
+        const end = new Date(req.body.endDate);
+
+        // Claim unexported documents first, so two exports running together can't both take one
+        const tallyExport = { batch, exportedAt: new Date() };
+        for (const type of types) {
+            await SOURCES[type].model.updateMany(
+                { ...SOURCES[type].filter(start, end), ...inBatch(type, null) },
+                { $set: { [SOURCES[type].flag]: tallyExport } }
+            );
+        }
+
+        const { vouchers, xml } = await buildBatch(batch, types);
+        if (!vouchers.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nothing new to export for these dates'
+            });
+        }
+
+        sendXml(res, batch, xml);
+    } catch (error) {
+        // Release the claim so the documents go out with the next export
+        await Promise.all(types.map(type => SOURCES[type]?.model.updateMany(inBatch(type, batch), { $unset: { [SOURCES[type].flag]: 1 } })))
+            .catch(releaseError => console.error('Release Tally batch error:', releaseError));
+        console.error('Tally export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/tally/exports/:batch
+// @desc    Download an earlier export again, e.g. when the file was lost
+// @access  Private (admin, super_admin)
+router.get('/exports/:batch', authorize(...PERMISSIONS.EXPORT_ACCOUNTS), async (req, res) => {
+    try {
+        const { vouchers, xml } = await buildBatch(req.params.batch);
+        if (!vouchers.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export batch not found'
+            });
+        }
+
+        sendXml(res, req.params.batch, xml);
+    } catch (error) {
+        console.error('Get Tally export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/tally/exports/:batch
+// @desc    Clear the exported flags of a batch Tally failed to import, so it is exported again
+// @access  Private (admin, super_admin)
+router.delete('/exports/:batch', authorize(...PERMISSIONS.EXPORT_ACCOUNTS), async (req, res) => {
+    try {
+        const results = await Promise.all(TALLY_VOUCHER_TYPES.map(type => SOURCES[type].model.updateMany(
+            inBatch(type, req.params.batch),
+            { $unset: { [SOURCES[type].flag]: 1 } }
+        )));
+        const released = results.reduce((sum, result) => sum + result.modifiedCount, 0);
+        if (!released) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export batch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${released} documents will be included in the next export`,
+            data: { released }
+        });
+    } catch (error) {
+        console.error('Release Tally export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -1,15 +1,30 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
+import { OAuth2Client } from 'google-auth-library';
 import User from '../models/User.js';
 
 const router = express.Router();
+const googleClient = new OAuth2Client();
 
 // Generate JWT Token
 const generateToken = (userId) => {
     return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
 };
 
+// Whether a Google ID token vouches for an email: signed by Google, issued to this app
+// (GOOGLE_CLIENT_ID) and for an address Google has verified
+const isVerifiedGoogleEmail = async (credential, email) => {
+    if (!process.env.GOOGLE_CLIENT_ID) return false;
+    try {
+        const ticket = await googleClient.verifyIdToken({ idToken: credential, audience: process.env.GOOGLE_CLIENT_ID });
+        const payload = ticket.getPayload();
+        return payload?.email_verified === true && payload.email === email;
+    } catch (verifyError) {
+        return false;
+    }
+};
+
 // Validation rules
 const signupValidation = [
     body('name')
@@ -417,6 +432,8 @@ router.post('/google', async (req, res) => {
                     picture: googleUser.picture,
                     googleId: googleUser.sub
                 };
+                // Only a checked ID token marks the email verified; the direct flow above never does
+                userData.emailVerified = await isVerifiedGoogleEmail(credential, googleUser.email);
             } catch (decodeError) {
                 return res.status(400).json({
                     success: false,
@@ -441,6 +458,7 @@ router.post('/google', async (req, res) => {
                 // Link Google account to existing user
                 user.googleId = userData.googleId;
                 user.avatar = userData.picture;
+                if (userData.emailVerified) user.emailVerified = true;
                 user.lastLogin = new Date();
                 await user.save();
             } else {
@@ -451,6 +469,7 @@ router.post('/google', async (req, res) => {
                     googleId: userData.googleId,
                     avatar: userData.picture,
                     authProvider: 'google',
+                    emailVerified: Boolean(userData.emailVerified),
                     lastLogin: new Date()
                 });
                 await user.save();
@@ -458,6 +477,7 @@ router.post('/google', async (req, res) => {
         } else {
             // Update last login
             user.lastLogin = new Date();
+            if (userData.emailVerified) user.emailVerified = true;
             await user.save();
         }
 
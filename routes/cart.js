@@ -0,0 +1,326 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { authenticate } from '../middleware/auth.js';
+import { calculateOrderTotals } from '../utils/gst.js';
+import { ORDER_ERROR_CODES, saveOrder } from '../utils/orders.js';
+
+const router = express.Router();
+
+// All cart routes require a signed-in customer
+router.use(authenticate);
+
+// Online orders are paid at the counter or on delivery; credit is only given by staff
+const ONLINE_PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer'];
+
+const findCart = (userId) => Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+);
+
+// Re-price a cart against current products, dropping any that no longer exist
+const buildCartView = async (cart, customer = {}) => {
+    const products = await Product.find({ _id: { $in: cart.items.map(i => i.product) } });
+    const byId = new Map(products.map(p => [String(p._id), p]));
+
+    const removed = cart.items.filter(i => !byId.has(String(i.product)));
+    if (removed.length) {
+        cart.items = cart.items.filter(i => byId.has(String(i.product)));
+        await cart.save();
+    }
+
+    const items = cart.items.map(item => {
+        const product = byId.get(String(item.product));
+        return {
+            productId: product.id,
+            name: product.name,
+            image: product.image,
+            unit: product.unit,
+            quantity: item.quantity,
+            price: product.price,
+            priceAtAdd: item.priceAtAdd,
+            priceChanged: product.price !== item.priceAtAdd,
+            inStock: product.stockQuantity >= item.quantity,
+            product
+        };
+    });
+
+    const billing = items.length
+        ? calculateOrderTotals(items.map(i => ({ product: i.product, quantity: i.quantity, unitPrice: i.price })), customer)
+        : null;
+
+    return {
+        items: items.map(({ product, ...item }) => item),
+        removedItems: removed.length,
+        hasPriceChanges: items.some(i => i.priceChanged),
+        subtotal: billing?.subtotal || 0,
+        totalGst: billing?.totalGst || 0,
+        grandTotal: billing?.grandTotal || 0
+    };
+};
+
+// @route   GET /api/cart
+// @desc    Get the signed-in customer's cart at current prices
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const cart = await findCart(req.user._id);
+
+        res.json({
+            success: true,
+            data: await buildCartView(cart)
+        });
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product to the cart, or add to its quantity if already there
+// @access  Private
+router.post('/items', [
+    body('productId').trim().notEmpty().withMessage('Product is required'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const product = await Product.findOne({ id: req.body.productId });
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const quantity = req.body.quantity || 1;
+        const cart = await findCart(req.user._id);
+        const existing = cart.items.find(i => String(i.product) === String(product._id));
+        if (existing) {
+            existing.quantity += quantity;
+            existing.priceAtAdd = product.price;
+        } else {
+            cart.items.push({ product: product._id, quantity, priceAtAdd: product.price });
+        }
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Added to cart',
+            data: await buildCartView(cart)
+        });
+    } catch (error) {
+        console.error('Add to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/cart/items/:productId
+// @desc    Change the quantity of a cart line
+// @access  Private
+router.put('/items/:productId', [
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const product = await Product.findOne({ id: req.params.productId });
+        const cart = await findCart(req.user._id);
+        const item = product && cart.items.find(i => String(i.product) === String(product._id));
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not in cart'
+            });
+        }
+
+        // Changing a line accepts its current price
+        item.quantity = req.body.quantity;
+        item.priceAtAdd = product.price;
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Cart updated',
+            data: await buildCartView(cart)
+        });
+    } catch (error) {
+        console.error('Update cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/cart/items/:productId
+// @desc    Remove a line from the cart
+// @access  Private
+router.delete('/items/:productId', async (req, res) => {
+    try {
+        const product = await Product.findOne({ id: req.params.productId });
+        const cart = await findCart(req.user._id);
+        if (product) {
+            cart.items = cart.items.filter(i => String(i.product) !== String(product._id));
+            await cart.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from cart',
+            data: await buildCartView(cart)
+        });
+    } catch (error) {
+        console.error('Remove from cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Private
+router.delete('/', async (req, res) => {
+    try {
+        await Cart.updateOne({ user: req.user._id }, { items: [] });
+
+        res.json({
+            success: true,
+            message: 'Cart cleared'
+        });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Place the cart as an order for the counter to confirm
+// @access  Private
+router.post('/checkout', [
+    body('phone').optional().trim().matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit Indian phone number'),
+    body('address').optional().trim().isLength({ max: 500 }),
+    body('state').optional().trim(),
+    body('paymentMethod').optional().isIn(ONLINE_PAYMENT_METHODS).withMessage('Invalid payment method'),
+    body('notes').optional().isLength({ max: 1000 }),
+    body('acceptPriceChanges').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { address, state, paymentMethod, notes, acceptPriceChanges } = req.body;
+        const phone = req.body.phone || req.user.phone;
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number is required to place an order'
+            });
+        }
+
+        const cart = await Cart.findOne({ user: req.user._id });
+        if (!cart || !cart.items.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your cart is empty'
+            });
+        }
+
+        // Customers confirm any price that changed since they added the item
+        const products = await Product.find({ _id: { $in: cart.items.map(i => i.product) } });
+        const byId = new Map(products.map(p => [String(p._id), p]));
+        const changed = cart.items.some(i => !byId.has(String(i.product)) || byId.get(String(i.product)).price !== i.priceAtAdd);
+        if (changed && !acceptPriceChanges) {
+            return res.status(409).json({
+                success: false,
+                code: 'CART_CHANGED',
+                message: 'Some prices or products have changed since they were added to your cart',
+                data: await buildCartView(cart)
+            });
+        }
+
+        const lines = cart.items
+            .filter(i => byId.has(String(i.product)))
+            .map(i => ({ product: byId.get(String(i.product)), quantity: i.quantity, unitPrice: byId.get(String(i.product)).price }));
+        if (!lines.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the products in your cart are available'
+            });
+        }
+
+        // Billed with only what the shopper entered. A phone number typed here proves nothing,
+        // so the order is not matched to a customer account; staff link it when confirming
+        const billedCustomer = Object.fromEntries(Object.entries({ name: req.user.name, phone, email: req.user.email, address, state }).filter(([, value]) => value));
+        const billing = calculateOrderTotals(lines, billedCustomer);
+
+        const order = new Order({
+            channel: 'online',
+            user: req.user._id,
+            customer: billedCustomer,
+            ...billing,
+            paymentMethod: paymentMethod || 'cash',
+            amountDue: billing.grandTotal,
+            status: 'pending',
+            statusHistory: [{ to: 'pending', changedBy: req.user._id, note: 'Placed online' }],
+            notes,
+            createdBy: req.user._id
+        });
+        await saveOrder(order, req.user);
+
+        cart.items = [];
+        await cart.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Order placed. We will confirm it shortly.',
+            data: order
+        });
+    } catch (error) {
+        if (ORDER_ERROR_CODES.includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,281 @@
+import express from 'express';
+import CreditNote from '../models/CreditNote.js';
+import Dispatch from '../models/Dispatch.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import ServiceTicket from '../models/ServiceTicket.js';
+import { authenticate } from '../middleware/auth.js';
+import { createPdfResponse, renderInvoice } from '../utils/pdf.js';
+
+const router = express.Router();
+
+// All routes require a signed-in customer
+router.use(authenticate);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Orders placed by the customer, plus counter bills under their verified email that are
+// not linked to another login. Emails are verified only from a checked Google ID token. Phone numbers are never verified, so bills are not matched
+// on them. Internal drafts are never shown.
+const customerOrderFilter = (user) => {
+    const match = [{ user: user._id }];
+    if (user.emailVerified && user.email) {
+        match.push({ user: null, 'customer.email': { $regex: `^${escapeRegex(user.email)}$`, $options: 'i' } });
+    }
+    return { $or: match, status: { $ne: 'draft' } };
+};
+
+// What a customer may see of an order; staff notes, approvals and overrides stay internal
+const toCustomerOrder = (order) => ({
+    id: order._id,
+    orderNumber: order.orderNumber,
+    invoiceNumber: order.invoiceNumber,
+    channel: order.channel || 'counter',
+    status: order.status,
+    deliveryStatus: order.deliveryStatus,
+    createdAt: order.createdAt,
+    customer: {
+        name: order.customer.name,
+        phone: order.customer.phone,
+        address: order.customer.address,
+        gstin: order.customer.gstin
+    },
+    items: order.items.map(item => ({
+        productName: item.productName,
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.unitPrice,
+        discount: item.discount,
+        gstRate: item.gstRate,
+        gstAmount: item.gstAmount,
+        totalAmount: item.totalAmount
+    })),
+    subtotal: order.subtotal,
+    totalDiscount: order.totalDiscount,
+    totalGst: order.totalGst,
+    grandTotal: order.grandTotal,
+    totalCredited: order.totalCredited,
+    amountPaid: order.amountPaid,
+    amountDue: order.amountDue,
+    paymentStatus: order.paymentStatus,
+    invoiceUrl: order.invoiceNumber ? `/api/me/orders/${order._id}/invoice.pdf` : null
+});
+
+// Tickets for units on the customer's own orders; walk-in tickets with no order are not shown
+const customerTicketFilter = async (user) => {
+    const orders = await Order.find(customerOrderFilter(user)).distinct('_id');
+    return { order: { $in: orders } };
+};
+
+// What a customer may see of a service ticket; staff, stock and decision notes stay internal
+const toCustomerTicket = (ticket) => ({
+    id: ticket._id,
+    ticketNumber: ticket.ticketNumber,
+    status: ticket.status,
+    productName: ticket.productName,
+    serial: ticket.serial,
+    orderNumber: ticket.orderNumber,
+    complaint: ticket.intake.complaint,
+    receivedAt: ticket.intake.receivedAt,
+    underWarranty: ticket.underWarranty,
+    warrantyEnd: ticket.warrantyEnd,
+    diagnosis: ticket.diagnosis?.notes,
+    decision: ticket.decision?.type,
+    charges: ticket.getTotals(),
+    handedOverAt: ticket.handover?.handedOverAt
+});
+
+// @route   GET /api/me/orders
+// @desc    List the signed-in customer's orders
+// @access  Private
+router.get('/orders', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const skip = (page - 1) * limit;
+
+        const filter = customerOrderFilter(req.user);
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                orders: orders.map(toCustomerOrder),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get my orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/me/orders/:id
+// @desc    Get one of the customer's orders with its timeline, payments and deliveries
+// @access  Private
+router.get('/orders/:id', async (req, res) => {
+    try {
+        // Someone else's order is reported as not found, never as forbidden
+        const order = await Order.findOne({ _id: req.params.id, ...customerOrderFilter(req.user) });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const [payments, dispatches, creditNotes] = await Promise.all([
+            Payment.find({ order: order._id, status: 'active' }).sort({ paidAt: 1 }),
+            Dispatch.find({ order: order._id }).sort({ createdAt: 1 }),
+            CreditNote.find({ order: order._id }).sort({ createdAt: 1 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...toCustomerOrder(order),
+                // Status changes only; the notes staff leave on them are internal
+                timeline: order.statusHistory.map(h => ({ from: h.from, to: h.to, at: h.changedAt })),
+                payments: payments.map(p => ({
+                    type: p.type,
+                    amount: p.amount,
+                    method: p.method,
+                    receiptNumber: p.receiptNumber,
+                    paidAt: p.paidAt
+                })),
+                deliveries: dispatches.map(d => ({
+                    challanNumber: d.challanNumber,
+                    status: d.status,
+                    items: d.items.map(i => ({ productName: i.productName, quantity: i.quantity, unit: i.unit })),
+                    vehicleNumber: d.vehicleNumber,
+                    plannedAt: d.plannedAt,
+                    dispatchedAt: d.dispatchedAt,
+                    deliveredAt: d.deliveredAt
+                })),
+                creditNotes: creditNotes.map(c => ({
+                    creditNoteNumber: c.creditNoteNumber,
+                    amount: c.grandTotal,
+                    issuedAt: c.createdAt
+                }))
+            }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        console.error('Get my order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/me/orders/:id/invoice.pdf
+// @desc    Download the tax invoice for one of the customer's orders
+// @access  Private
+router.get('/orders/:id/invoice.pdf', async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, ...customerOrderFilter(req.user) });
+        if (!order || !order.invoiceNumber) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const doc = createPdfResponse(res, `${order.invoiceNumber}.pdf`);
+        renderInvoice(doc, order);
+        doc.end();
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+        console.error('Customer invoice error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+});
+
+// @route   GET /api/me/service-tickets
+// @desc    List the customer's service and warranty tickets, newest first
+// @access  Private
+router.get('/service-tickets', async (req, res) => {
+    try {
+        const tickets = await ServiceTicket.find(await customerTicketFilter(req.user))
+            .sort({ 'intake.receivedAt': -1 })
+            .limit(100);
+
+        res.json({
+            success: true,
+            data: tickets.map(toCustomerTicket)
+        });
+    } catch (error) {
+        console.error('Get my service tickets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/me/service-tickets/:id
+// @desc    Get one of the customer's service tickets with its timeline
+// @access  Private
+router.get('/service-tickets/:id', async (req, res) => {
+    try {
+        const ticket = await ServiceTicket.findOne({ _id: req.params.id, ...await customerTicketFilter(req.user) });
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service ticket not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...toCustomerTicket(ticket),
+                timeline: ticket.statusHistory.map(h => ({ from: h.from, to: h.to, at: h.changedAt }))
+            }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Service ticket not found'
+            });
+        }
+        console.error('Get my service ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import PriceChange from '../models/PriceChange.js';
 import Product from '../models/Product.js';
 
 const router = express.Router();
@@ -72,6 +73,54 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   GET /api/products/:id/price-history
+// @desc    Dated price points for a product's price chart (?days= limits the period, default 90)
+// @access  Public
+router.get('/:id/price-history', async (req, res) => {
+    try {
+        const product = await Product.findOne({ id: req.params.id });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const days = Math.min(parseInt(req.query.days) || 90, 3650);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        // The price in force when the period starts anchors the left edge of the chart;
+        // products priced before history was kept fall back to the first change's old price
+        const [opening, changes] = await Promise.all([
+            PriceChange.findOne({ product: product._id, status: 'applied', effectiveFrom: { $lt: since } }).sort({ effectiveFrom: -1 }),
+            PriceChange.find({ product: product._id, status: 'applied', effectiveFrom: { $gte: since } }).sort({ effectiveFrom: 1 })
+        ]);
+
+        const history = changes.map(c => ({ date: c.effectiveFrom, price: c.newPrice }));
+        const openingPrice = opening ? opening.newPrice : changes.length ? changes[0].oldPrice : product.price;
+        if (openingPrice !== undefined) history.unshift({ date: since, price: openingPrice });
+
+        res.json({
+            success: true,
+            data: {
+                id: product.id,
+                name: product.name,
+                unit: product.unit,
+                currentPrice: product.price,
+                history
+            }
+        });
+    } catch (error) {
+        console.error('Get price history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching price history',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/products
 // @desc    Create a new product (Admin only - add auth middleware later)
 // @access  Private/Admin
@@ -0,0 +1,52 @@
+import express from 'express';
+import SerialNumber from '../models/SerialNumber.js';
+
+const router = express.Router();
+
+// @route   GET /api/warranty/:serial
+// @desc    Check warranty cover for a unit by its serial number. Serials are printed on the box,
+//          so nothing about the buyer is shown
+// @access  Public
+router.get('/:serial', async (req, res) => {
+    try {
+        const serial = req.params.serial.trim().toUpperCase();
+        const units = await SerialNumber.find({ serial, status: { $in: ['sold', 'replaced'] } })
+            .populate('product', 'id name category image warrantyMonths');
+
+        if (!units.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'No sale found for this serial number'
+            });
+        }
+
+        const now = new Date();
+        res.json({
+            success: true,
+            data: units.map(unit => ({
+                serial: unit.serial,
+                product: unit.product && {
+                    id: unit.product.id,
+                    name: unit.product.name,
+                    category: unit.product.category,
+                    image: unit.product.image
+                },
+                soldAt: unit.soldAt,
+                warrantyMonths: unit.warrantyMonths || 0,
+                warrantyStart: unit.warrantyStart,
+                warrantyEnd: unit.warrantyEnd,
+                // Replaced units have handed their cover on to the replacement
+                status: unit.status === 'replaced' ? 'replaced' : !unit.warrantyEnd ? 'no_warranty' : unit.isUnderWarranty(now) ? 'covered' : 'expired',
+                daysRemaining: unit.isUnderWarranty(now) ? Math.ceil((unit.warrantyEnd - now) / (24 * 60 * 60 * 1000)) : 0
+            }))
+        });
+    } catch (error) {
+        console.error('Warranty lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
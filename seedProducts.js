@@ -18,6 +18,8 @@ const products = [
         category: 'steel',
         price: 65000,
         unit: 'Ton',
+        hsnCode: '7214',
+        gstRate: 18,
         image: getCloudinaryUrl('TMT_bar-Grade_550D.jpg'),
         description: 'High-strength TMT bars suitable for heavy construction. Earthquake resistant.',
         longDescription: 'Our Grade 550D TMT bars are manufactured using the latest Tempcore technology. They offer superior ductility, high strength, and excellent bendability, making them ideal for critical infrastructure projects, high-rise buildings, and bridges in seismic zones.',
@@ -28,7 +30,7 @@ const products = [
             'Corrosion Resistance': 'High',
             'Standard': 'IS 1786:2008'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: [
             {
                 user: "Rajesh Kumar",
@@ -50,6 +52,8 @@ const products = [
         category: 'steel',
         price: 58,
         unit: 'Kg',
+        hsnCode: '7306',
+        gstRate: 18,
         image: getCloudinaryUrl('MS_Square_pipes.jpg'),
         description: 'Mild Steel square pipes for structural fabrication.',
         longDescription: 'Premium quality Mild Steel (MS) square pipes known for their durability and high tensile strength. Widely used in furniture, bus bodies, fencing, and general structural fabrication.',
@@ -60,7 +64,7 @@ const products = [
             'Finish': 'Black / Galvanized',
             'Shape': 'Square'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: []
     },
 
@@ -71,6 +75,8 @@ const products = [
         category: 'cement',
         price: 420,
         unit: 'Bag',
+        hsnCode: '2523',
+        gstRate: 28,
         image: getCloudinaryUrl('Ultratech_OPC_53_Grade.jpg'),
         description: 'Ordinary Portland Cement for general construction purposes.',
         longDescription: 'OPC 53 Grade cement is a high-strength cement used for general civil engineering construction work, RCC works, pre-cast items such as blocks, tiles, pipes, and non-structural works such as plastering and flooring.',
@@ -81,7 +87,7 @@ const products = [
             'Setting Time': 'Initial: 30 min, Final: 600 min',
             'Color': 'Grey'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: [
             {
                 user: "Muthu Vel",
@@ -97,6 +103,8 @@ const products = [
         category: 'cement',
         price: 850,
         unit: 'Bag',
+        hsnCode: '2523',
+        gstRate: 28,
         image: getCloudinaryUrl('White_Cement.jpg'),
         description: 'Premium white cement for decorative finishing.',
         longDescription: 'Superior quality white cement that provides a pristine white canvas for your walls. Ideal for terrazzo flooring, architectural concrete, and decorative cement paints.',
@@ -107,7 +115,7 @@ const products = [
             'Usage': 'Decorative / Finishing',
             'Curing Time': 'Standard'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: []
     },
 
@@ -118,6 +126,8 @@ const products = [
         category: 'electronics',
         price: 1200,
         unit: 'Box',
+        hsnCode: '8536',
+        gstRate: 18,
         image: getCloudinaryUrl('Modular_Switches_Set.jpg'),
         description: 'Elegant modular switches, fire resistant.',
         longDescription: 'State-of-the-art modular switches designed for modern homes. Features soft-touch operation, flame-retardant polycarbonate material, and a sleek finish that complements any interior.',
@@ -128,7 +138,7 @@ const products = [
             'Life Cycle': '100,000 Clicks',
             'Certification': 'ISI Marked'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: []
     },
     {
@@ -137,6 +147,8 @@ const products = [
         category: 'electronics',
         price: 1800,
         unit: 'Coil',
+        hsnCode: '8544',
+        gstRate: 18,
         image: getCloudinaryUrl('Copper_Wiring_2.5mm.jpg'),
         description: 'Pure copper wiring for domestic and industrial use.',
         longDescription: 'High-conductivity electrolytic copper conductor with multi-strand flexibility. Insulated with advanced PVC compound for superior fire resistance and longevity.',
@@ -147,7 +159,7 @@ const products = [
             'Length': '90m Coil',
             'Voltage Grade': '1100V'
         },
-        inStock: true,
+        stockQuantity: 100,
         reviews: []
     }
 ];
@@ -165,7 +177,7 @@ const seedProducts = async () => {
         console.log('🗑️  Cleared existing products\n');
 
         // Insert new products
-        const insertedProducts = await Product.insertMany(products);
+        const insertedProducts = await Product.create(products);
         console.log(`✅ Successfully inserted ${insertedProducts.length} products\n`);
 
         // Display inserted products
@@ -6,6 +6,9 @@ import authRoutes from './routes/auth.js';
 import reviewRoutes from './routes/reviews.js';
 import imageRoutes from './routes/images.js';
 import productRoutes from './routes/products.js';
+import cartRoutes from './routes/cart.js';
+import meRoutes from './routes/me.js';
+import warrantyRoutes from './routes/warranty.js';
 // Admin Routes
 import adminAuthRoutes from './routes/adminAuth.js';
 import adminUsersRoutes from './routes/adminUsers.js';
@@ -13,6 +16,17 @@ import adminProductsRoutes from './routes/adminProducts.js';
 import adminStockRoutes from './routes/adminStock.js';
 import adminOrdersRoutes from './routes/adminOrders.js';
 import adminReportsRoutes from './routes/adminReports.js';
+import adminPaymentsRoutes from './routes/adminPayments.js';
+import adminPriceListsRoutes from './routes/adminPriceLists.js';
+import adminShiftsRoutes from './routes/adminShifts.js';
+import adminExpensesRoutes from './routes/adminExpenses.js';
+import adminTallyRoutes from './routes/adminTally.js';
+import adminServiceTicketsRoutes from './routes/adminServiceTickets.js';
+import adminCustomersRoutes from './routes/adminCustomers.js';
+import adminQuotationsRoutes from './routes/adminQuotations.js';
+import adminCreditNotesRoutes from './routes/adminCreditNotes.js';
+import adminDispatchesRoutes from './routes/adminDispatches.js';
+import { applyDuePriceChanges } from './utils/prices.js';
 
 // Load environment variables
 dotenv.config();
@@ -44,6 +58,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/warranty', warrantyRoutes);
 
 // Admin Routes
 app.use('/api/admin/auth', adminAuthRoutes);
@@ -52,6 +69,16 @@ app.use('/api/admin/products', adminProductsRoutes);
 app.use('/api/admin/stock', adminStockRoutes);
 app.use('/api/admin/orders', adminOrdersRoutes);
 app.use('/api/admin/reports', adminReportsRoutes);
+app.use('/api/admin/payments', adminPaymentsRoutes);
+app.use('/api/admin/customers', adminCustomersRoutes);
+app.use('/api/admin/quotations', adminQuotationsRoutes);
+app.use('/api/admin/credit-notes', adminCreditNotesRoutes);
+app.use('/api/admin/dispatches', adminDispatchesRoutes);
+app.use('/api/admin/price-lists', adminPriceListsRoutes);
+app.use('/api/admin/shifts', adminShiftsRoutes);
+app.use('/api/admin/expenses', adminExpensesRoutes);
+app.use('/api/admin/tally', adminTallyRoutes);
+app.use('/api/admin/service-tickets', adminServiceTicketsRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -72,7 +99,16 @@ const connectDB = async () => {
 // Start server
 const PORT = process.env.PORT || 5000;
 
+// Scheduled price changes are applied once their effective time passes
+const PRICE_CHANGE_INTERVAL = 5 * 60 * 1000;
+const applyScheduledPrices = () => applyDuePriceChanges()
+    .then(count => count && console.log(`💰 Applied ${count} scheduled price change(s)`))
+    .catch(error => console.error('❌ Scheduled price change error:', error.message));
+
 connectDB().then(() => {
+    applyScheduledPrices();
+    setInterval(applyScheduledPrices, PRICE_CHANGE_INTERVAL);
+
     app.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`📡 API endpoint: http://localhost:${PORT}/api`);
@@ -0,0 +1,277 @@
+import business from '../config/business.js';
+import { isValidGstin, roundCurrency } from './gst.js';
+import { getRoundOff } from './pdf.js';
+
+// Schema versions of the government JSON formats produced here
+export const EINVOICE_VERSION = '1.1';
+export const EWAY_BILL_VERSION = '1.0.0621';
+
+// Invoices above this value need an e-way bill before the goods move
+export const EWAY_BILL_THRESHOLD = 50000;
+
+// E-way bill transport modes
+export const TRANSPORT_MODES = { road: 1, rail: 2, air: 3, ship: 4 };
+
+// GST unit quantity codes (UQC) for the units products are sold in
+const UNIT_CODES = {
+    bag: 'BAG',
+    box: 'BOX',
+    bundle: 'BDL',
+    coil: 'ROL',
+    roll: 'ROL',
+    kg: 'KGS',
+    ton: 'MTS',
+    tonne: 'MTS',
+    mt: 'MTS',
+    nos: 'NOS',
+    pcs: 'PCS',
+    piece: 'PCS',
+    set: 'SET',
+    pair: 'PRS',
+    m: 'MTR',
+    meter: 'MTR',
+    metre: 'MTR',
+    ltr: 'LTR',
+    litre: 'LTR',
+    sqft: 'SQF'
+};
+
+const PINCODE_PATTERN = /\b([1-9]\d{5})\b/;
+const HSN_PATTERN = /^\d{4}(\d{2}){0,2}$/;
+const VEHICLE_PATTERN = /^[A-Z]{2}[0-9A-Z]{1,4}[0-9]{4}$/;
+
+/**
+ * Map a product unit onto its GST unit quantity code
+ * @param {string} unit - Unit as stored on the product, e.g. 'Kg'
+ * @returns {string} UQC, 'OTH' when there is no match
+ */
+export const toUnitCode = (unit) => {
+    const key = String(unit || '').trim().toLowerCase();
+    return UNIT_CODES[key] || UNIT_CODES[key.replace(/s$/, '')] || 'OTH';
+};
+
+/**
+ * Format a date the way both portals expect it
+ * @param {Date|string} date - Date to format
+ * @returns {string} dd/mm/yyyy
+ */
+const formatPortalDate = (date) => {
+    const d = new Date(date);
+    return [d.getDate(), d.getMonth() + 1].map(n => String(n).padStart(2, '0')).concat(d.getFullYear()).join('/');
+};
+
+/**
+ * Find a pincode for a party, falling back to one written into the address
+ * @param {Object} party - Object with pincode and/or address
+ * @returns {number|undefined} Six-digit pincode
+ */
+const findPincode = (party) => {
+    const match = String(party.pincode || '').match(PINCODE_PATTERN) || String(party.address || '').match(PINCODE_PATTERN);
+    return match ? Number(match[1]) : undefined;
+};
+
+/**
+ * Collects the fields a payload is missing or has in the wrong shape
+ * @returns {Object} { errors, require(field, value, message, [valid]) }
+ */
+const createChecker = () => {
+    const errors = [];
+    const require = (field, value, message, valid = true) => {
+        if (value === undefined || value === null || value === '' || !valid) errors.push({ field, message });
+        return value;
+    };
+    return { errors, require };
+};
+
+// The shop's own details, shared by both formats
+const getSeller = (require, prefix) => ({
+    gstin: require(`${prefix}.gstin`, business.gstin, 'Shop GSTIN is not configured (BUSINESS_GSTIN)', isValidGstin(business.gstin)),
+    name: require(`${prefix}.name`, business.name, 'Shop name is not configured (BUSINESS_NAME)'),
+    addr1: require(`${prefix}.address`, business.address[0], 'Shop address is not configured (BUSINESS_ADDRESS)'),
+    addr2: business.address.slice(1).join(', ') || undefined,
+    place: require(`${prefix}.city`, business.city, 'Shop city is not configured (BUSINESS_CITY)'),
+    pincode: require(`${prefix}.pincode`, findPincode(business), 'Shop pincode is not configured (BUSINESS_PINCODE)'),
+    stateCode: business.stateCode
+});
+
+// Per-line checks common to both formats
+const checkItems = (order, require, prefix) => {
+    if (!order.items.length) require(prefix, undefined, 'Invoice has no items');
+    order.items.forEach((item, index) => {
+        require(`${prefix}[${index}].hsnCode`, item.hsnCode,
+            `HSN code is missing or invalid for ${item.productName}`, HSN_PATTERN.test(item.hsnCode || ''));
+    });
+};
+
+/**
+ * Build the e-invoice (INV-01) JSON for an invoiced B2B order
+ * @param {Object} order - Invoiced order
+ * @returns {Object} { payload, errors }; errors list each missing or invalid field
+ */
+export const buildEInvoice = (order) => {
+    const { errors, require } = createChecker();
+    const { customer } = order;
+
+    const seller = getSeller(require, 'seller');
+    const buyerGstin = require('buyer.gstin', customer.gstin,
+        'Buyer GSTIN is required; e-invoices are only raised for registered (B2B) buyers', isValidGstin(customer.gstin));
+    const buyerAddress = require('buyer.address', customer.address, 'Buyer address is missing');
+    const buyerCity = require('buyer.city', customer.city, 'Buyer city is missing');
+    const buyerPincode = require('buyer.pincode', findPincode(customer), 'Buyer pincode is missing');
+    checkItems(order, require, 'items');
+
+    const { roundedTotal, roundOff } = getRoundOff(order.grandTotal);
+    const payload = {
+        Version: EINVOICE_VERSION,
+        TranDtls: { TaxSch: 'GST', SupTyp: 'B2B', RegRev: 'N', IgstOnIntra: 'N' },
+        DocDtls: { Typ: 'INV', No: order.invoiceNumber, Dt: formatPortalDate(order.invoicedAt) },
+        SellerDtls: {
+            Gstin: seller.gstin,
+            LglNm: seller.name,
+            Addr1: seller.addr1,
+            ...(seller.addr2 && { Addr2: seller.addr2 }),
+            Loc: seller.place,
+            Pin: seller.pincode,
+            Stcd: seller.stateCode,
+            ...(business.phone && { Ph: business.phone.replace(/\D/g, '') }),
+            ...(business.email && { Em: business.email })
+        },
+        BuyerDtls: {
+            Gstin: buyerGstin,
+            LglNm: customer.name,
+            Pos: order.placeOfSupply,
+            Addr1: buyerAddress,
+            Loc: buyerCity,
+            Pin: buyerPincode,
+            Stcd: buyerGstin?.substring(0, 2),
+            ...(customer.phone && { Ph: customer.phone.replace(/\D/g, '') }),
+            ...(customer.email && { Em: customer.email })
+        },
+        ItemList: order.items.map((item, index) => ({
+            SlNo: String(index + 1),
+            PrdDesc: item.productName,
+            // Lines with no product are labour and other service charges
+            IsServc: item.product ? 'N' : 'Y',
+            HsnCd: item.hsnCode,
+            Qty: item.quantity,
+            Unit: toUnitCode(item.unit),
+            UnitPrice: item.unitPrice,
+            TotAmt: roundCurrency(item.unitPrice * item.quantity),
+            Discount: item.discount || 0,
+            AssAmt: item.taxableValue,
+            GstRt: item.gstRate,
+            IgstAmt: item.igstAmount || 0,
+            CgstAmt: item.cgstAmount || 0,
+            SgstAmt: item.sgstAmount || 0,
+            TotItemVal: item.totalAmount
+        })),
+        ValDtls: {
+            AssVal: order.totalTaxableValue,
+            CgstVal: order.totalCgst,
+            SgstVal: order.totalSgst,
+            IgstVal: order.totalIgst,
+            RndOffAmt: roundOff,
+            TotInvVal: roundedTotal
+        }
+    };
+
+    return { payload, errors };
+};
+
+/**
+ * Build the e-way bill bulk upload JSON for an invoiced order
+ * @param {Object} order - Invoiced order
+ * @param {Object} [transport] - mode, distance (km), vehicleNumber, transporterId, transporterName and shipTo { address, city, pincode }
+ * @returns {Object} { payload, errors }; errors list each missing or invalid field
+ */
+export const buildEWayBill = (order, transport = {}) => {
+    const { errors, require } = createChecker();
+    const { customer } = order;
+    // A delivery site is not the billing address, so none of its details are taken from the customer
+    const site = transport.shipTo;
+    const shipTo = site || customer;
+
+    const seller = getSeller(require, 'seller');
+    const buyerGstin = customer.gstin && isValidGstin(customer.gstin) ? customer.gstin : 'URP';
+    const toAddress = require('shipTo.address', shipTo.address, 'Delivery address is missing');
+    const toPlace = require('shipTo.city', shipTo.city, site ? 'Delivery city is missing for the dispatch site' : 'Delivery city is missing');
+    const toPincode = require('shipTo.pincode', findPincode(shipTo), site ? 'Delivery pincode is missing from the dispatch site address' : 'Delivery pincode is missing');
+    checkItems(order, require, 'items');
+
+    const mode = transport.mode || 'road';
+    const transMode = TRANSPORT_MODES[mode];
+    require('transport.mode', mode, `Transport mode must be one of ${Object.keys(TRANSPORT_MODES).join(', ')}`, Boolean(transMode));
+    const distance = Number(transport.distance ?? 0);
+    require('transport.distance', distance, 'Distance must be a whole number of km (0 lets the portal work it out)', Number.isInteger(distance) && distance >= 0 && distance <= 4000);
+    // Part B can be filled in on the portal later, but a vehicle given here must be well formed
+    const vehicleNo = transport.vehicleNumber ? String(transport.vehicleNumber).replace(/[\s-]/g, '').toUpperCase() : undefined;
+    if (vehicleNo) require('transport.vehicleNumber', vehicleNo, `Vehicle number ${transport.vehicleNumber} is invalid`, VEHICLE_PATTERN.test(vehicleNo));
+    if (transport.transporterId) {
+        require('transport.transporterId', transport.transporterId, 'Transporter ID must be a GSTIN', isValidGstin(transport.transporterId));
+    }
+
+    // The line with the highest taxable value is reported as the main commodity
+    const mainItem = order.items.reduce((top, item) => (!top || item.taxableValue > top.taxableValue ? item : top), null);
+    const { roundedTotal, roundOff } = getRoundOff(order.grandTotal);
+    const toStateCode = Number(order.placeOfSupply);
+
+    const bill = {
+        userGstin: seller.gstin,
+        supplyType: 'O',
+        subSupplyType: 1,
+        subSupplyDesc: '',
+        docType: 'INV',
+        docNo: order.invoiceNumber,
+        docDate: formatPortalDate(order.invoicedAt),
+        transType: 1,
+        fromGstin: seller.gstin,
+        fromTrdName: seller.name,
+        fromAddr1: seller.addr1,
+        fromAddr2: seller.addr2 || '',
+        fromPlace: seller.place,
+        fromPincode: seller.pincode,
+        fromStateCode: Number(seller.stateCode),
+        actualFromStateCode: Number(seller.stateCode),
+        toGstin: buyerGstin,
+        toTrdName: customer.name,
+        toAddr1: toAddress,
+        toAddr2: '',
+        toPlace,
+        toPincode,
+        toStateCode,
+        actualToStateCode: toStateCode,
+        totalValue: order.totalTaxableValue,
+        cgstValue: order.totalCgst,
+        sgstValue: order.totalSgst,
+        igstValue: order.totalIgst,
+        cessValue: 0,
+        TotNonAdvolVal: 0,
+        OthValue: roundOff,
+        totInvValue: roundedTotal,
+        transMode,
+        transDistance: String(distance),
+        transporterName: transport.transporterName || '',
+        transporterId: transport.transporterId ? transport.transporterId.toUpperCase() : '',
+        transDocNo: '',
+        transDocDate: '',
+        vehicleNo: vehicleNo || '',
+        vehicleType: vehicleNo ? 'R' : '',
+        mainHsnCode: Number(mainItem?.hsnCode) || undefined,
+        itemList: order.items.map((item, index) => ({
+            itemNo: index + 1,
+            productName: item.productName,
+            productDesc: item.productName,
+            hsnCode: Number(item.hsnCode),
+            quantity: item.quantity,
+            qtyUnit: toUnitCode(item.unit),
+            taxableAmount: item.taxableValue,
+            cgstRate: order.isInterState ? 0 : item.gstRate / 2,
+            sgstRate: order.isInterState ? 0 : item.gstRate / 2,
+            igstRate: order.isInterState ? item.gstRate : 0,
+            cessRate: 0,
+            cessNonAdvol: 0
+        }))
+    };
+
+    return { payload: { version: EWAY_BILL_VERSION, billLists: [bill] }, errors };
+};
@@ -0,0 +1,213 @@
+import business from '../config/business.js';
+
+// GST state codes, as used in the first two digits of a GSTIN
+export const STATE_CODES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+// Valid GST slabs (percent)
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Round a rupee amount to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Amount rounded to 2 decimals
+ */
+export const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Check a GSTIN's format
+ * @param {string} gstin - GSTIN to check
+ * @returns {boolean} Whether it is a well-formed GSTIN
+ */
+export const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+
+/**
+ * Work out the buyer's place of supply from their GSTIN or state
+ * @param {Object} customer - Order customer details
+ * @returns {string} Two-digit GST state code (the shop's own state if unknown)
+ */
+export const getPlaceOfSupply = (customer = {}) => {
+    if (isValidGstin(customer.gstin)) return customer.gstin.substring(0, 2);
+
+    const state = String(customer.state || '').trim();
+    if (STATE_CODES[state.padStart(2, '0')]) return state.padStart(2, '0');
+    const code = Object.keys(STATE_CODES).find(c => STATE_CODES[c].toLowerCase() === state.toLowerCase());
+
+    // Walk-in counter buyers with no state are treated as local
+    return code || business.stateCode;
+};
+
+/**
+ * Split the GST on a taxable value into CGST + SGST or IGST
+ * @param {number} taxableValue - Value the tax is charged on
+ * @param {number} gstRate - GST rate in percent
+ * @param {boolean} interState - Whether the supply crosses state lines
+ * @returns {Object} cgstAmount, sgstAmount, igstAmount and total gstAmount
+ */
+export const splitGst = (taxableValue, gstRate, interState) => {
+    const gstAmount = roundCurrency((taxableValue * gstRate) / 100);
+    if (interState) {
+        return { cgstAmount: 0, sgstAmount: 0, igstAmount: gstAmount, gstAmount };
+    }
+    const cgstAmount = roundCurrency(gstAmount / 2);
+    return { cgstAmount, sgstAmount: roundCurrency(gstAmount - cgstAmount), igstAmount: 0, gstAmount };
+};
+
+/**
+ * Work out the rupee amount of a percentage or flat discount
+ * @param {Object} discount - { type: 'percent' | 'flat', value }
+ * @param {number} amount - Amount the discount applies to
+ * @returns {number} Discount amount
+ */
+export const getDiscountAmount = (discount, amount) => {
+    if (!discount || !discount.value) return 0;
+
+    const value = Number(discount.value);
+    const isPercent = discount.type === 'percent';
+    if (!(value >= 0) || (isPercent ? value > 100 : value > amount)) {
+        const error = new Error(`Invalid discount of ${discount.value}${isPercent ? '%' : ''} on ${amount}`);
+        error.code = 'INVALID_DISCOUNT';
+        throw error;
+    }
+
+    return roundCurrency(isPercent ? (amount * value) / 100 : value);
+};
+
+/**
+ * Price order lines with discounts and total them with the GST split for the buyer's state
+ * GST is charged on the taxable value left after line and order-level discounts
+ * @param {Array} lines - Lines with product, quantity, unitPrice and optional discount, pricing source and serials
+ * @param {Object} customer - Order customer details
+ * @param {Object} [orderDiscount] - Discount on the whole bill, { type, value }
+ * @returns {Object} Processed items plus order-level totals and place of supply
+ */
+export const calculateOrderTotals = (lines, customer, orderDiscount) => {
+    const placeOfSupply = getPlaceOfSupply(customer);
+    const isInterState = placeOfSupply !== business.stateCode;
+    const totals = { subtotal: 0, totalDiscount: 0, totalTaxableValue: 0, totalGst: 0, totalCgst: 0, totalSgst: 0, totalIgst: 0 };
+
+    const priced = lines.map(line => {
+        const gross = roundCurrency(line.unitPrice * line.quantity);
+        return { ...line, gross, lineDiscount: getDiscountAmount(line.discount, gross) };
+    });
+
+    // The bill discount is shared across lines in proportion to their value,
+    // with the last line taking any rounding difference
+    const netTotal = priced.reduce((sum, line) => sum + line.gross - line.lineDiscount, 0);
+    const orderDiscountAmount = getDiscountAmount(orderDiscount, roundCurrency(netTotal));
+    let allocated = 0;
+
+    const items = priced.map(({ product, quantity, unitPrice, discount, pricing, serials, gross, lineDiscount }, index) => {
+        const net = gross - lineDiscount;
+        const share = index === priced.length - 1
+            ? roundCurrency(orderDiscountAmount - allocated)
+            : roundCurrency(netTotal ? (orderDiscountAmount * net) / netTotal : 0);
+        allocated += share;
+
+        const taxableValue = roundCurrency(net - share);
+        const gstRate = product.gstRate ?? 18;
+        const tax = splitGst(taxableValue, gstRate, isInterState);
+
+        totals.subtotal += gross;
+        totals.totalDiscount += lineDiscount + share;
+        totals.totalTaxableValue += taxableValue;
+        totals.totalGst += tax.gstAmount;
+        totals.totalCgst += tax.cgstAmount;
+        totals.totalSgst += tax.sgstAmount;
+        totals.totalIgst += tax.igstAmount;
+
+        return {
+            product: product._id,
+            productName: product.name,
+            sku: product.id,
+            hsnCode: product.hsnCode,
+            quantity,
+            unit: product.unit,
+            unitPrice,
+            serials: serials?.length ? serials : undefined,
+            ...pricing,
+            discountType: discount?.value ? discount.type : undefined,
+            discountValue: discount?.value ? Number(discount.value) : undefined,
+            discount: roundCurrency(lineDiscount + share),
+            taxableValue,
+            gstRate,
+            ...tax,
+            totalAmount: roundCurrency(taxableValue + tax.gstAmount)
+        };
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = roundCurrency(totals[key]); });
+
+    return {
+        items,
+        ...totals,
+        orderDiscount: orderDiscountAmount ? { ...orderDiscount, value: Number(orderDiscount.value), amount: orderDiscountAmount } : undefined,
+        grandTotal: roundCurrency(totals.totalTaxableValue + totals.totalGst),
+        placeOfSupply,
+        isInterState
+    };
+};
+
+/**
+ * Work out the tax reversal for returning part of an invoiced line
+ * The last units returned take whatever value is left, so a line credits back exactly what was billed
+ * @param {Object} item - Invoiced order item
+ * @param {number} quantity - Quantity being returned
+ * @param {Object} [credited] - quantity, taxableValue and discount already credited on the line
+ * @param {boolean} interState - Whether the original supply was inter-state
+ * @returns {Object} discount, taxableValue, GST split and totalAmount for the returned quantity
+ */
+export const reverseOrderItem = (item, quantity, credited = {}, interState) => {
+    const lastUnits = (credited.quantity || 0) + quantity === item.quantity;
+    const share = (amount, creditedAmount) => roundCurrency(lastUnits
+        ? (amount || 0) - (creditedAmount || 0)
+        : ((amount || 0) * quantity) / item.quantity);
+
+    const taxableValue = share(item.taxableValue, credited.taxableValue);
+    const tax = splitGst(taxableValue, item.gstRate, interState);
+    return {
+        discount: share(item.discount, credited.discount),
+        taxableValue,
+        ...tax,
+        totalAmount: roundCurrency(taxableValue + tax.gstAmount)
+    };
+};
@@ -0,0 +1,52 @@
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Words for 0-99
+const twoDigits = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+// Words for 0-999
+const threeDigits = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigits(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Spell out a whole number in the Indian numbering system (lakh, crore)
+ * @param {number} num - Non-negative integer
+ * @returns {string} Number in words
+ */
+export const numberToIndianWords = (num) => {
+    let n = Math.floor(Math.abs(num));
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    n %= 10000000;
+    // Amounts of a hundred crore and more are spelt as "<n> Crore"
+    if (crore) parts.push(`${numberToIndianWords(crore)} Crore`);
+
+    const lakh = Math.floor(n / 100000);
+    n %= 100000;
+    if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+
+    const thousand = Math.floor(n / 1000);
+    n %= 1000;
+    if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+
+    if (n) parts.push(threeDigits(n));
+
+    return parts.join(' ');
+};
+
+/**
+ * Spell out a rupee amount the way it is written on Indian invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+ */
+export const amountInWords = (amount) => {
+    const paise = Math.round(Math.abs(amount) * 100) % 100;
+    const rupees = Math.floor(Math.round(Math.abs(amount) * 100) / 100);
+    return `Rupees ${numberToIndianWords(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+};
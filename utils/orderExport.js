@@ -0,0 +1,126 @@
+import ExcelJS from 'exceljs';
+
+// Columns of an order export: header, width (xlsx) and value
+const COLUMNS = [
+    { header: 'Order No', width: 18, value: o => o.orderNumber },
+    { header: 'Invoice No', width: 18, value: o => o.invoiceNumber || '' },
+    { header: 'Order Date', width: 12, value: o => o.createdAt },
+    { header: 'Invoice Date', width: 12, value: o => o.invoicedAt || '' },
+    { header: 'Channel', width: 10, value: o => o.channel || 'counter' },
+    { header: 'Status', width: 12, value: o => o.status },
+    { header: 'Customer', width: 28, value: o => o.customer?.name || '' },
+    { header: 'Phone', width: 14, value: o => o.customer?.phone || '' },
+    { header: 'GSTIN', width: 17, value: o => o.customer?.gstin || '' },
+    { header: 'Items', width: 8, value: o => o.items?.length || 0 },
+    { header: 'Quantity', width: 10, value: o => (o.items || []).reduce((sum, item) => sum + item.quantity, 0) },
+    { header: 'Taxable Value', width: 14, value: o => o.totalTaxableValue || 0, money: true },
+    { header: 'CGST', width: 12, value: o => o.totalCgst || 0, money: true },
+    { header: 'SGST', width: 12, value: o => o.totalSgst || 0, money: true },
+    { header: 'IGST', width: 12, value: o => o.totalIgst || 0, money: true },
+    { header: 'Discount', width: 12, value: o => o.totalDiscount || 0, money: true },
+    { header: 'Grand Total', width: 14, value: o => o.grandTotal, money: true },
+    { header: 'Paid', width: 14, value: o => o.amountPaid || 0, money: true },
+    { header: 'Due', width: 14, value: o => o.amountDue || 0, money: true },
+    { header: 'Payment Status', width: 14, value: o => o.paymentStatus },
+    { header: 'Payment Method', width: 14, value: o => o.paymentMethod },
+    { header: 'Created By', width: 18, value: o => o.createdBy?.name || '' }
+];
+
+// Quote a CSV cell; text starting like a formula is prefixed so spreadsheets show it as text
+const csvCell = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number') return String(value);
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until the response has room for more, or the client has gone away
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} true once drained, false when the connection closed first
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+    if (res.destroyed) return resolve(false);
+    const finish = (drained) => {
+        res.off('drain', onDrain);
+        res.off('close', onClose);
+        resolve(drained);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+});
+
+/**
+ * Stream orders to the response as CSV, one row at a time
+ * The cursor is closed when the export finishes or the client disconnects
+ * @param {Object} cursor - Mongoose query cursor of orders (createdBy populated)
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name without extension
+ * @returns {Promise<number>} Rows written
+ */
+export const streamOrdersCsv = async (cursor, res, filename) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    // Byte order mark so Excel reads the file as UTF-8
+    res.write('\ufeff' + COLUMNS.map(c => csvCell(c.header)).join(',') + '\r\n');
+
+    let rows = 0;
+    try {
+        for await (const order of cursor) {
+            if (res.destroyed) break;
+            rows += 1;
+            // Wait for the client to catch up instead of buffering the whole export
+            if (!res.write(COLUMNS.map(c => csvCell(c.value(order))).join(',') + '\r\n') && !(await waitForDrain(res))) break;
+        }
+    } finally {
+        await cursor.close();
+    }
+    if (!res.destroyed) res.end();
+    return rows;
+};
+
+/**
+ * Stream orders to the response as an XLSX workbook, committing each row as it is written
+ * and pausing while the client catches up; the cursor is closed as for CSV
+ * @param {Object} cursor - Mongoose query cursor of orders (createdBy populated)
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name without extension
+ * @returns {Promise<number>} Rows written
+ */
+export const streamOrdersXlsx = async (cursor, res, filename) => {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Orders', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = COLUMNS.map(c => ({
+        header: c.header,
+        width: c.width,
+        style: c.money ? { numFmt: '#,##0.00' } : c.header.endsWith('Date') ? { numFmt: 'dd-mm-yyyy' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    let rows = 0;
+    try {
+        for await (const order of cursor) {
+            if (res.destroyed) break;
+            sheet.addRow(COLUMNS.map(c => c.value(order))).commit();
+            rows += 1;
+            // Rows are zipped between event loop turns, so let that run now and then;
+            // once the zip is paused on a full response, wait for the client to catch up
+            if (rows % 100 === 0) await new Promise(resolve => setImmediate(resolve));
+            if (res.writableNeedDrain && !(await waitForDrain(res))) break;
+        }
+    } finally {
+        await cursor.close();
+    }
+    // A client that went away gets no workbook footer
+    if (res.destroyed) return rows;
+    sheet.commit();
+    await workbook.commit();
+    return rows;
+};
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import Quotation from '../models/Quotation.js';
+import { deductOrderStock, restockOrder } from './stock.js';
+import { checkSerialCount, normaliseSerials, restockOrderSerials, sellOrderSerials } from './serials.js';
+import { roundCurrency } from './gst.js';
+import business from '../config/business.js';
+
+// Statuses in which an order's items have left the shelf
+export const STOCK_COMMITTED_STATUSES = ['confirmed', 'processing', 'completed'];
+
+// Error codes thrown while building or saving an order that are the caller's fault
+export const ORDER_ERROR_CODES = ['INSUFFICIENT_STOCK', 'PRODUCT_NOT_FOUND', 'INVALID_DISCOUNT', 'CUSTOMER_NOT_FOUND', 'INVALID_SERIALS', 'QUOTATION_CONVERTED'];
+
+/**
+ * Look up the products for requested lines, priced at today's rates
+ * Products on the customer's price list take the list's rate for the quantity bought
+ * @param {Array} items - Lines with productId, quantity and optional discount and serials
+ * @param {Object} [priceList] - Price list that applies to the customer
+ * @returns {Promise<Array>} Lines ready for calculateOrderTotals
+ */
+export const resolveOrderLines = async (items, priceList) => {
+    const lines = [];
+    for (const item of items) {
+        const product = await Product.findOne({ id: item.productId });
+        if (!product) {
+            const error = new Error(`Product not found: ${item.productId}`);
+            error.code = 'PRODUCT_NOT_FOUND';
+            throw error;
+        }
+        // Serials can be left for later on drafts, but must fit the quantity when given
+        const serials = normaliseSerials(item.serials);
+        const problem = serials.length || !product.serialTracked ? checkSerialCount(product, serials, item.quantity) : null;
+        if (problem) {
+            const error = new Error(problem);
+            error.code = 'INVALID_SERIALS';
+            throw error;
+        }
+        const listed = priceList?.getPrice(product._id, item.quantity);
+        const pricing = listed ? { priceList: priceList._id, priceListName: priceList.name, priceSlab: listed.minQuantity ?? undefined } : undefined;
+        lines.push({ product, quantity: item.quantity, unitPrice: listed ? listed.price : product.price, discount: item.discount, pricing, serials });
+    }
+    return lines;
+};
+
+/**
+ * Find the customer account being billed and the details to copy onto the bill
+ * Uses the account picked, or else the one matching the phone/GSTIN entered
+ * @param {string} [customerId] - Customer account ID
+ * @param {Object} [customer] - Customer details typed at the counter
+ * @returns {Promise<Object>} { account, billedCustomer }
+ */
+export const resolveCustomer = async (customerId, customer = {}) => {
+    const account = customerId
+        ? await Customer.findOne({ _id: customerId, isActive: true })
+        : await Customer.findByContact(customer);
+    if (customerId && !account) {
+        const error = new Error('Customer not found');
+        error.code = 'CUSTOMER_NOT_FOUND';
+        throw error;
+    }
+
+    // Details typed at the counter take precedence over the account's saved ones
+    const typed = Object.fromEntries(Object.entries(customer).filter(([, value]) => value));
+    return { account, billedCustomer: account ? { ...account.toOrderCustomer(), ...typed } : customer };
+};
+
+/**
+ * Compare a bill's total discount with what the user's role may give
+ * @param {Object} billing - Result of calculateOrderTotals
+ * @param {string} role - User role
+ * @returns {Object} { discountPercent, discountLimit, overLimit }
+ */
+export const checkDiscountLimit = (billing, role) => {
+    const discountLimit = business.discountLimits[role] ?? 0;
+    const discountPercent = billing.subtotal ? roundCurrency((billing.totalDiscount / billing.subtotal) * 100) : 0;
+    return { discountPercent, discountLimit, overLimit: discountPercent > discountLimit };
+};
+
+/**
+ * Work out what a customer would owe after an unpaid credit sale
+ * Walk-in buyers with no account have no credit
+ * @param {Object} [account] - Customer document
+ * @param {number} amount - Unpaid amount of the new bill
+ * @returns {Promise<Object>} { outstanding, creditLimit, exposure, overLimit }
+ */
+export const checkCreditLimit = async (account, amount) => {
+    const outstanding = account ? (await Customer.getBalances(account)).outstanding : 0;
+    const creditLimit = account?.creditLimit || 0;
+    const exposure = roundCurrency(outstanding + amount);
+    return { outstanding, creditLimit, exposure, overLimit: exposure > creditLimit };
+};
+
+// Saves an order and everything that goes with it in the given session; see saveOrder
+const writeOrder = async (order, user, { allowInsufficientStock, payments = [], invoice = false, quotation }, session) => {
+    if (quotation) {
+        // Claim the quotation first so only one order can ever be made from it
+        const converted = { status: 'converted', convertedOrder: order._id, convertedAt: new Date() };
+        const claimed = await Quotation.findOneAndUpdate({ _id: quotation._id, status: 'accepted' }, converted, { new: true, session });
+        if (!claimed) {
+            const error = new Error('Quotation has already been converted to an order');
+            error.code = 'QUOTATION_CONVERTED';
+            throw error;
+        }
+        quotation.set(converted);
+    }
+    if (order.isNew) order.orderNumber = await Counter.next('order', { session });
+    if (invoice) order.invoiceNumber = await Counter.next('invoice', { session, date: order.invoicedAt });
+    if (STOCK_COMMITTED_STATUSES.includes(order.status) && !order.stockDeducted) {
+        await deductOrderStock(order, { createdBy: user._id, allowNegative: !!allowInsufficientStock, session });
+        await sellOrderSerials(order, session);
+        if (allowInsufficientStock) order.stockOverrideBy = user._id;
+    } else if (order.status === 'cancelled' && order.stockDeducted) {
+        await restockOrder(order, { createdBy: user._id, session });
+        await restockOrderSerials(order, session);
+    }
+    if (payments.length) {
+        for (const payment of payments) await payment.saveWithNumber(session);
+        await Payment.syncOrder(order, session);
+    }
+    await order.save({ session });
+};
+
+/**
+ * Save an order in one transaction with its stock movements, serial numbers and new payments
+ * Stock is deducted once it leaves draft and put back if it is cancelled after that.
+ * Order and invoice numbers are drawn in the same transaction so a failed save leaves no gap
+ * @param {Object} order - Order document
+ * @param {Object} user - User making the change
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInsufficientStock] - Bill items that are not in stock
+ * @param {Array} [options.payments] - New Payment documents for the order
+ * @param {boolean} [options.invoice] - Give the order an invoice number
+ * @param {Object} [options.quotation] - Accepted Quotation the order is converted from, marked converted in the same transaction
+ * @param {Object} [options.session] - Caller's transaction to save in, instead of starting one
+ * @returns {Promise}
+ * @throws {Error} QUOTATION_CONVERTED when the quotation is no longer accepted, e.g. a repeated convert
+ */
+export const saveOrder = (order, user, { session, ...options } = {}) => (session
+    ? writeOrder(order, user, options, session)
+    : mongoose.connection.transaction(started => writeOrder(order, user, options, started)));
+
+// Fields orders can be sorted on, by the name used in ?sort=
+export const ORDER_SORT_FIELDS = {
+    createdAt: 'createdAt',
+    invoicedAt: 'invoicedAt',
+    orderNumber: 'orderNumber',
+    invoiceNumber: 'invoiceNumber',
+    customer: 'customer.name',
+    status: 'status',
+    paymentStatus: 'paymentStatus',
+    paymentMethod: 'paymentMethod',
+    grandTotal: 'grandTotal',
+    amountPaid: 'amountPaid',
+    amountDue: 'amountDue',
+    createdBy: 'createdBy'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse the end of a date range so it is inclusive: a bare date covers the whole of that day
+ * @param {string} value - Date or date-time from a query
+ * @returns {Date} End of the range
+ */
+export const parseEndDate = (value) => {
+    const end = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) end.setTime(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+    return end;
+};
+
+// Comma-separated query values, e.g. ?status=confirmed,completed
+const listOf = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Build an Order filter from list or export query parameters
+ * @param {Object} query - Request query: status, customerId, channel, search, startDate, endDate, dateField,
+ *   paymentStatus, paymentMethod, phone, gstin, minAmount, maxAmount, createdBy, invoiced, product
+ * @returns {Object} Mongo filter
+ */
+export const buildOrderFilter = (query) => {
+    const filter = {};
+    const and = [];
+    if (query.status) filter.status = { $in: listOf(query.status) };
+    if (query.customerId) filter.customerId = query.customerId;
+    if (query.channel) filter.channel = query.channel;
+    if (query.paymentStatus) filter.paymentStatus = { $in: listOf(query.paymentStatus) };
+    if (query.paymentMethod) filter.paymentMethod = { $in: listOf(query.paymentMethod) };
+    if (query.createdBy) filter.createdBy = query.createdBy;
+    if (query.search) {
+        // Searched as typed, so characters like ( or * match themselves
+        const search = escapeRegex(String(query.search));
+        and.push({ $or: [
+            { orderNumber: { $regex: search, $options: 'i' } },
+            { invoiceNumber: { $regex: search, $options: 'i' } },
+            { 'customer.name': { $regex: search, $options: 'i' } }
+        ] });
+    }
+
+    // Dates are inclusive; a bare end date covers the whole of that day
+    if (query.startDate || query.endDate) {
+        const field = query.dateField === 'invoicedAt' ? 'invoicedAt' : 'createdAt';
+        filter[field] = {};
+        if (query.startDate) filter[field].$gte = new Date(query.startDate);
+        if (query.endDate) filter[field].$lte = parseEndDate(query.endDate);
+    }
+
+    if (query.phone) filter['customer.phone'] = { $regex: escapeRegex(query.phone) };
+    if (query.gstin) filter['customer.gstin'] = { $regex: `^${escapeRegex(query.gstin.toUpperCase())}` };
+    if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+        filter.grandTotal = {};
+        if (query.minAmount !== undefined) filter.grandTotal.$gte = Number(query.minAmount);
+        if (query.maxAmount !== undefined) filter.grandTotal.$lte = Number(query.maxAmount);
+    }
+    if (query.invoiced === 'true') filter.invoiceNumber = { $ne: null };
+    if (query.invoiced === 'false') filter.invoiceNumber = null;
+
+    // A product's _id, or its SKU or name as billed
+    if (query.product) {
+        and.push(mongoose.isValidObjectId(query.product) && String(query.product).length === 24
+            ? { 'items.product': query.product }
+            : { $or: [{ 'items.sku': query.product }, { 'items.productName': { $regex: escapeRegex(query.product), $options: 'i' } }] });
+    }
+
+    if (and.length) filter.$and = and;
+    return filter;
+};
+
+/**
+ * Build an Order sort from ?sort=field or ?sort=-field (descending), newest first by default
+ * @param {string} [sort] - A key of ORDER_SORT_FIELDS, optionally prefixed with -
+ * @returns {Object} Mongo sort with _id as the tie-breaker so pages don't overlap
+ */
+export const buildOrderSort = (sort) => {
+    const descending = String(sort || '-createdAt').startsWith('-');
+    const field = ORDER_SORT_FIELDS[String(sort || '-createdAt').replace(/^-/, '')] || 'createdAt';
+    return { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 };
+};
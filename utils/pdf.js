@@ -0,0 +1,523 @@
+import PDFDocument from 'pdfkit';
+import business from '../config/business.js';
+import { STATE_CODES, roundCurrency } from './gst.js';
+import { amountInWords } from './numberToWords.js';
+
+const PAGE_MARGIN = 36;
+
+/**
+ * Format a rupee amount with Indian digit grouping
+ * @param {number} amount - Amount in rupees
+ * @returns {string} e.g. "1,20,050.00"
+ */
+export const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+/**
+ * Format a date as DD/MM/YYYY
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+export const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '');
+
+/**
+ * Round a bill to the nearest rupee the way printed invoices show it
+ * @param {number} amount - Exact bill amount
+ * @returns {Object} roundedTotal and the roundOff adjustment
+ */
+export const getRoundOff = (amount) => {
+    const roundedTotal = Math.round(amount);
+    return { roundedTotal, roundOff: roundCurrency(roundedTotal - amount) };
+};
+
+/**
+ * Start a PDF streamed to the response
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Object} [options] - PDFKit options, e.g. { size: 'A5' }
+ * @returns {Object} PDFKit document
+ */
+export const createPdfResponse = (res, filename, options = {}) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, ...options });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/[^\w.-]+/g, '-')}"`);
+    doc.pipe(res);
+    return doc;
+};
+
+// Usable width between the page margins
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+/**
+ * Draw the shop's letterhead and a document title
+ * @param {Object} doc - PDFKit document
+ * @param {string} title - Document title, e.g. "TAX INVOICE"
+ */
+export const drawLetterhead = (doc, title) => {
+    const width = contentWidth(doc);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(business.name, PAGE_MARGIN, PAGE_MARGIN, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    business.address.forEach(line => doc.text(line, { width, align: 'center' }));
+
+    const contact = [business.phone && `Phone: ${business.phone}`, business.email && `Email: ${business.email}`].filter(Boolean).join('   ');
+    if (contact) doc.text(contact, { width, align: 'center' });
+    if (business.gstin) {
+        doc.text(`GSTIN: ${business.gstin}   State: ${STATE_CODES[business.stateCode] || ''} (${business.stateCode})`, { width, align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text(title, PAGE_MARGIN, doc.y, { width, align: 'center' });
+    doc.moveDown(0.3);
+    drawRule(doc);
+};
+
+/**
+ * Draw a horizontal line across the page at the current position
+ * @param {Object} doc - PDFKit document
+ */
+export const drawRule = (doc) => {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(0.5).stroke();
+    doc.moveDown(0.4);
+};
+
+/**
+ * Draw two blocks of label/value lines side by side (e.g. buyer and document details)
+ * @param {Object} doc - PDFKit document
+ * @param {Object} left - { title, lines: [string] }
+ * @param {Array} right - [[label, value]]
+ */
+export const drawPartyBlock = (doc, left, right) => {
+    const width = contentWidth(doc) / 2 - 10;
+    const top = doc.y;
+    const rightX = PAGE_MARGIN + width + 20;
+
+    doc.font('Helvetica-Bold').fontSize(9).text(left.title, PAGE_MARGIN, top, { width });
+    doc.font('Helvetica');
+    left.lines.filter(Boolean).forEach(line => doc.text(line, { width }));
+    const leftBottom = doc.y;
+
+    doc.y = top;
+    right.filter(([, value]) => value).forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(`${label}:`, rightX, y, { width: 90 });
+        doc.font('Helvetica').text(String(value), rightX + 90, y, { width: width - 90 });
+    });
+
+    doc.y = Math.max(leftBottom, doc.y);
+    doc.moveDown(0.5);
+    doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Draw a bordered table, repeating the header on each new page
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - [{ header, width, align }]; one column may omit width to take the rest
+ * @param {Array} rows - Arrays of cell text, in column order
+ */
+export const drawTable = (doc, columns, rows) => {
+    const fixed = columns.reduce((sum, col) => sum + (col.width || 0), 0);
+    const widths = columns.map(col => col.width || contentWidth(doc) - fixed);
+    const padding = 3;
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - padding * 2 }))) + padding * 2;
+
+        if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(col => col.header), true);
+        }
+
+        const y = doc.y;
+        let x = PAGE_MARGIN;
+        cells.forEach((cell, i) => {
+            doc.rect(x, y, widths[i], height).lineWidth(0.5).stroke();
+            doc.text(String(cell ?? ''), x + padding, y + padding, { width: widths[i] - padding * 2, align: columns[i].align || 'left' });
+            x += widths[i];
+        });
+        doc.y = y + height;
+    };
+
+    drawRow(columns.map(col => col.header), true);
+    rows.forEach(row => drawRow(row, false));
+    doc.x = PAGE_MARGIN;
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw right-aligned label/amount pairs, e.g. bill totals
+ * @param {Object} doc - PDFKit document
+ * @param {Array} lines - [[label, amount, bold]]
+ */
+export const drawTotals = (doc, lines) => {
+    const labelX = doc.page.width - PAGE_MARGIN - 220;
+    lines.forEach(([label, amount, bold]) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, labelX, y, { width: 130 });
+        doc.text(formatAmount(amount), labelX + 130, y, { width: 90, align: 'right' });
+    });
+    doc.x = PAGE_MARGIN;
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw the "For <shop> / Authorised Signatory" block
+ * @param {Object} doc - PDFKit document
+ */
+export const drawSignature = (doc) => {
+    if (doc.y + 70 > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const x = doc.page.width - PAGE_MARGIN - 200;
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(9).text(`For ${business.name}`, x, doc.y, { width: 200, align: 'right' });
+    doc.moveDown(3);
+    doc.font('Helvetica').text('Authorised Signatory', x, doc.y, { width: 200, align: 'right' });
+    doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Draw a bill's line items with their GST split, then the HSN-wise tax summary
+ * @param {Object} doc - PDFKit document
+ * @param {Object} bill - Order or Quotation document
+ */
+export const drawGstItems = (doc, bill) => {
+    // Intra-state bills carry CGST + SGST columns, inter-state bills a single IGST column
+    const taxColumns = bill.isInterState
+        ? [{ header: 'IGST', width: 70, align: 'right' }]
+        : [{ header: 'CGST', width: 52, align: 'right' }, { header: 'SGST', width: 52, align: 'right' }];
+    const taxCells = (item) => (bill.isInterState
+        ? [`${item.gstRate}%\n${formatAmount(item.igstAmount)}`]
+        : [`${item.gstRate / 2}%\n${formatAmount(item.cgstAmount)}`, `${item.gstRate / 2}%\n${formatAmount(item.sgstAmount)}`]);
+
+    drawTable(doc, [
+        { header: '#', width: 20, align: 'center' },
+        { header: 'Description' },
+        { header: 'HSN/SAC', width: 45 },
+        { header: 'Qty', width: 45, align: 'right' },
+        { header: 'Rate', width: 52, align: 'right' },
+        { header: 'Discount', width: 45, align: 'right' },
+        { header: 'Taxable Value', width: 58, align: 'right' },
+        ...taxColumns,
+        { header: 'Amount', width: 58, align: 'right' }
+    ], bill.items.map((item, index) => [
+        index + 1,
+        item.serials?.length ? `${item.productName}\nS/N: ${item.serials.join(', ')}` : item.productName,
+        item.hsnCode || '',
+        `${item.quantity} ${item.unit}`,
+        formatAmount(item.unitPrice),
+        formatAmount(item.discount),
+        formatAmount(item.taxableValue || item.unitPrice * item.quantity - item.discount),
+        ...taxCells(item),
+        formatAmount(item.totalAmount)
+    ]));
+
+    // HSN-wise tax summary, as required on GST invoices
+    const hsnSummary = {};
+    bill.items.forEach(item => {
+        const key = `${item.hsnCode || '-'}|${item.gstRate}`;
+        const row = hsnSummary[key] || (hsnSummary[key] = { hsnCode: item.hsnCode || '-', gstRate: item.gstRate, taxable: 0, cgst: 0, sgst: 0, igst: 0 });
+        row.taxable += item.taxableValue || 0;
+        row.cgst += item.cgstAmount || 0;
+        row.sgst += item.sgstAmount || 0;
+        row.igst += item.igstAmount || 0;
+    });
+    drawTable(doc, [
+        { header: 'HSN/SAC' },
+        { header: 'Taxable Value', width: 90, align: 'right' },
+        { header: 'Rate', width: 50, align: 'right' },
+        { header: 'CGST', width: 80, align: 'right' },
+        { header: 'SGST', width: 80, align: 'right' },
+        { header: 'IGST', width: 80, align: 'right' }
+    ], Object.values(hsnSummary).map(row => [
+        row.hsnCode,
+        formatAmount(row.taxable),
+        `${row.gstRate}%`,
+        formatAmount(row.cgst),
+        formatAmount(row.sgst),
+        formatAmount(row.igst)
+    ]));
+};
+
+/**
+ * Render a GST tax invoice for an invoiced order
+ * @param {Object} doc - PDFKit document
+ * @param {Object} order - Invoiced Order document
+ */
+export const renderInvoice = (doc, order) => {
+    const width = contentWidth(doc);
+    const { customer } = order;
+    const placeOfSupply = order.placeOfSupply || business.stateCode;
+
+    drawLetterhead(doc, 'TAX INVOICE');
+    drawPartyBlock(doc, {
+        title: 'Bill To',
+        lines: [
+            customer.name,
+            customer.address,
+            customer.phone && `Phone: ${customer.phone}`,
+            customer.gstin && `GSTIN: ${customer.gstin}`,
+            `State: ${STATE_CODES[placeOfSupply] || ''} (${placeOfSupply})`
+        ]
+    }, [
+        ['Invoice No', order.invoiceNumber],
+        ['Invoice Date', formatDate(order.invoicedAt || order.updatedAt)],
+        ['Order No', order.orderNumber],
+        ['Place of Supply', `${STATE_CODES[placeOfSupply] || ''} (${placeOfSupply})`],
+        ['Payment', order.paymentMethod],
+        ['IRN', order.eInvoice?.irn],
+        ['Ack No', order.eInvoice?.ackNo && `${order.eInvoice.ackNo} (${formatDate(order.eInvoice.ackDate)})`],
+        ['E-Way Bill', order.eWayBill?.number]
+    ]);
+
+    drawGstItems(doc, order);
+
+    const { roundedTotal, roundOff } = getRoundOff(order.grandTotal);
+    drawTotals(doc, [
+        ['Sub Total', order.subtotal],
+        ...(order.totalDiscount ? [['Less: Discount', order.totalDiscount]] : []),
+        ['Taxable Value', order.totalTaxableValue || order.subtotal - order.totalDiscount],
+        ...(order.isInterState
+            ? [['IGST', order.totalIgst]]
+            : [['CGST', order.totalCgst], ['SGST', order.totalSgst]]),
+        ['Round Off', roundOff],
+        ['Grand Total', roundedTotal, true],
+        ['Amount Paid', order.amountPaid],
+        ['Balance Due', order.amountDue > 0 ? Math.max(0, roundedTotal - order.amountPaid) : 0, true]
+    ]);
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', PAGE_MARGIN, doc.y, { continued: true, width })
+        .font('Helvetica').text(amountInWords(roundedTotal));
+    doc.moveDown(0.5);
+
+    if (business.bank.accountNumber) {
+        doc.font('Helvetica-Bold').text('Bank Details');
+        doc.font('Helvetica').text(`${business.bank.name}  A/c No: ${business.bank.accountNumber}  IFSC: ${business.bank.ifsc}`, { width });
+        doc.moveDown(0.5);
+    }
+    if (business.invoiceTerms) {
+        doc.font('Helvetica-Bold').text('Terms & Conditions');
+        doc.font('Helvetica').text(business.invoiceTerms, { width });
+    }
+
+    drawSignature(doc);
+};
+
+/**
+ * Render a quotation with the same GST breakdown as an invoice
+ * @param {Object} doc - PDFKit document
+ * @param {Object} quotation - Quotation document
+ */
+export const renderQuotation = (doc, quotation) => {
+    const width = contentWidth(doc);
+    const { customer } = quotation;
+    const placeOfSupply = quotation.placeOfSupply || business.stateCode;
+
+    drawLetterhead(doc, 'QUOTATION');
+    drawPartyBlock(doc, {
+        title: 'Quoted To',
+        lines: [
+            customer.name,
+            customer.address,
+            customer.phone && `Phone: ${customer.phone}`,
+            customer.gstin && `GSTIN: ${customer.gstin}`
+        ]
+    }, [
+        ['Quotation No', quotation.quotationNumber],
+        ['Date', formatDate(quotation.createdAt)],
+        ['Valid Until', formatDate(quotation.validUntil)],
+        ['Place of Supply', `${STATE_CODES[placeOfSupply] || ''} (${placeOfSupply})`]
+    ]);
+
+    drawGstItems(doc, quotation);
+
+    const { roundedTotal, roundOff } = getRoundOff(quotation.grandTotal);
+    drawTotals(doc, [
+        ['Sub Total', quotation.subtotal],
+        ...(quotation.totalDiscount ? [['Less: Discount', quotation.totalDiscount]] : []),
+        ['Taxable Value', quotation.totalTaxableValue],
+        ...(quotation.isInterState
+            ? [['IGST', quotation.totalIgst]]
+            : [['CGST', quotation.totalCgst], ['SGST', quotation.totalSgst]]),
+        ['Round Off', roundOff],
+        ['Total', roundedTotal, true]
+    ]);
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', PAGE_MARGIN, doc.y, { continued: true, width })
+        .font('Helvetica').text(amountInWords(roundedTotal));
+    doc.moveDown(0.5);
+
+    if (quotation.notes) {
+        doc.font('Helvetica-Bold').text('Notes');
+        doc.font('Helvetica').text(quotation.notes, { width });
+        doc.moveDown(0.5);
+    }
+    if (business.quotationTerms) {
+        doc.font('Helvetica-Bold').text('Terms & Conditions');
+        doc.font('Helvetica').text(business.quotationTerms, { width });
+    }
+
+    drawSignature(doc);
+};
+
+/**
+ * Render a GST credit note issued against an invoice
+ * @param {Object} doc - PDFKit document
+ * @param {Object} creditNote - CreditNote document, with refundPayment populated if refunded
+ */
+export const renderCreditNote = (doc, creditNote) => {
+    const width = contentWidth(doc);
+    const { customer } = creditNote;
+    const placeOfSupply = creditNote.placeOfSupply || business.stateCode;
+
+    drawLetterhead(doc, 'CREDIT NOTE');
+    drawPartyBlock(doc, {
+        title: 'Issued To',
+        lines: [
+            customer.name,
+            customer.address,
+            customer.phone && `Phone: ${customer.phone}`,
+            customer.gstin && `GSTIN: ${customer.gstin}`
+        ]
+    }, [
+        ['Credit Note No', creditNote.creditNoteNumber],
+        ['Date', formatDate(creditNote.createdAt)],
+        ['Against Invoice', creditNote.invoiceNumber],
+        ['Invoice Date', formatDate(creditNote.invoicedAt)],
+        ['Place of Supply', `${STATE_CODES[placeOfSupply] || ''} (${placeOfSupply})`]
+    ]);
+
+    drawGstItems(doc, creditNote);
+
+    const { roundedTotal, roundOff } = getRoundOff(creditNote.grandTotal);
+    drawTotals(doc, [
+        ['Taxable Value', creditNote.totalTaxableValue],
+        ...(creditNote.isInterState
+            ? [['IGST', creditNote.totalIgst]]
+            : [['CGST', creditNote.totalCgst], ['SGST', creditNote.totalSgst]]),
+        ['Round Off', roundOff],
+        ['Total Credit', roundedTotal, true]
+    ]);
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', PAGE_MARGIN, doc.y, { continued: true, width })
+        .font('Helvetica').text(amountInWords(roundedTotal));
+    doc.moveDown(0.5);
+
+    const refund = creditNote.refundPayment;
+    doc.font('Helvetica-Bold').text('Reason: ', { continued: true, width }).font('Helvetica').text(creditNote.reason);
+    doc.font('Helvetica-Bold').text('Settlement: ', { continued: true, width }).font('Helvetica').text(creditNote.settlement === 'refund'
+        ? `Refunded${refund?.method ? ` by ${refund.method.toUpperCase()}` : ''}${refund?.receiptNumber ? ` (${refund.receiptNumber})` : ''}`
+        : `Adjusted against invoice ${creditNote.invoiceNumber}`);
+
+    drawSignature(doc);
+};
+
+/**
+ * Render a delivery challan for one dispatch trip
+ * @param {Object} doc - PDFKit document
+ * @param {Object} dispatch - Dispatch document
+ * @param {Object} order - Order being delivered
+ */
+export const renderDeliveryChallan = (doc, dispatch, order) => {
+    const width = contentWidth(doc);
+
+    drawLetterhead(doc, 'DELIVERY CHALLAN');
+    drawPartyBlock(doc, {
+        title: 'Deliver To',
+        lines: [
+            order.customer.name,
+            dispatch.siteAddress,
+            dispatch.siteContact?.name && `Site contact: ${dispatch.siteContact.name}${dispatch.siteContact.phone ? `, ${dispatch.siteContact.phone}` : ''}`,
+            !dispatch.siteContact?.name && order.customer.phone && `Phone: ${order.customer.phone}`,
+            order.customer.gstin && `GSTIN: ${order.customer.gstin}`
+        ]
+    }, [
+        ['Challan No', dispatch.challanNumber],
+        ['Date', formatDate(dispatch.dispatchedAt || dispatch.plannedAt || dispatch.createdAt)],
+        ['Order No', order.orderNumber],
+        ['Invoice No', order.invoiceNumber],
+        ['Vehicle No', dispatch.vehicleNumber],
+        ['Driver', dispatch.driver?.name && `${dispatch.driver.name}${dispatch.driver.phone ? ` (${dispatch.driver.phone})` : ''}`]
+    ]);
+
+    drawTable(doc, [
+        { header: '#', width: 25, align: 'center' },
+        { header: 'Description' },
+        { header: 'HSN/SAC', width: 70 },
+        { header: 'Quantity', width: 90, align: 'right' }
+    ], dispatch.items.map((item, index) => [
+        index + 1,
+        item.productName,
+        item.hsnCode || '',
+        `${item.quantity} ${item.unit}`
+    ]));
+
+    if (dispatch.loadingCharges || dispatch.unloadingCharges) {
+        drawTotals(doc, [
+            ['Loading Charges', dispatch.loadingCharges],
+            ['Unloading Charges', dispatch.unloadingCharges]
+        ]);
+    }
+    if (dispatch.notes) {
+        doc.font('Helvetica-Bold').fontSize(9).text('Notes', PAGE_MARGIN, doc.y);
+        doc.font('Helvetica').text(dispatch.notes, { width });
+    }
+    doc.font('Helvetica').fontSize(8).text('Goods are sent for delivery only. This is not a tax invoice.', PAGE_MARGIN, doc.y + 6, { width });
+
+    // Receiver signs on the left, the shop on the right
+    if (doc.y + 70 > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const top = doc.y;
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(9).text('Received the above goods in good condition', PAGE_MARGIN, doc.y, { width: 220 });
+    doc.moveDown(3);
+    doc.text(`Receiver's Signature${dispatch.receivedBy ? ` (${dispatch.receivedBy})` : ''}`, PAGE_MARGIN, doc.y, { width: 220 });
+    doc.y = top;
+    drawSignature(doc);
+};
+
+/**
+ * Render a receipt for one payment (or refund) against an order
+ * @param {Object} doc - PDFKit document
+ * @param {Object} payment - Payment document
+ * @param {Object} order - Order the payment belongs to
+ */
+export const renderPaymentReceipt = (doc, payment, order) => {
+    const width = contentWidth(doc);
+    const isRefund = payment.type === 'refund';
+
+    drawLetterhead(doc, isRefund ? 'REFUND VOUCHER' : 'PAYMENT RECEIPT');
+    drawPartyBlock(doc, {
+        title: isRefund ? 'Paid To' : 'Received From',
+        lines: [order.customer.name, order.customer.phone && `Phone: ${order.customer.phone}`]
+    }, [
+        ['Receipt No', payment.receiptNumber],
+        ['Date', formatDate(payment.paidAt)],
+        ['Order No', order.orderNumber],
+        ['Invoice No', order.invoiceNumber],
+        ['Method', payment.method.toUpperCase()],
+        ['Reference', payment.referenceNumber]
+    ]);
+
+    doc.font('Helvetica').fontSize(10).text(
+        `${isRefund ? 'Refunded to' : 'Received with thanks from'} ${order.customer.name} the sum of ${amountInWords(payment.amount)} `
+        + `by ${payment.method.toUpperCase()} ${isRefund ? 'against' : 'towards'} ${order.invoiceNumber ? `invoice ${order.invoiceNumber}` : `order ${order.orderNumber}`}.`,
+        PAGE_MARGIN, doc.y, { width }
+    );
+    doc.moveDown(0.5);
+    if (payment.status === 'voided') {
+        doc.font('Helvetica-Bold').fontSize(12).text(`VOID - ${payment.voidReason || ''}`, { width, align: 'center' });
+        doc.moveDown(0.5);
+    }
+
+    drawTotals(doc, [
+        [isRefund ? 'Amount Refunded' : 'Amount Received', payment.amount, true],
+        ['Bill Total', order.grandTotal],
+        ['Total Received to Date', order.amountPaid],
+        ['Balance Due', order.amountDue, true]
+    ]);
+
+    if (payment.collectedBy?.name) doc.font('Helvetica').fontSize(9).text(`${isRefund ? 'Paid' : 'Collected'} by: ${payment.collectedBy.name}`, PAGE_MARGIN, doc.y);
+    drawSignature(doc);
+};
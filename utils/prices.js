@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import PriceChange from '../models/PriceChange.js';
+import Product from '../models/Product.js';
+import { roundCurrency } from './gst.js';
+
+/**
+ * Change a product's price, or schedule the change when it takes effect later
+ * The product is saved with the new price when the change applies now. A past effective
+ * date is recorded as now, so price history only shows changes as they really happened
+ * @param {Object} product - Product document
+ * @param {number} newPrice - New selling price
+ * @param {Object} options - changedBy, plus optional effectiveFrom, source, batch, note and session
+ * @returns {Promise<Object|null>} The PriceChange recorded, or null when the price is unchanged
+ */
+export const changePrice = async (product, newPrice, { changedBy, effectiveFrom, source = 'manual', batch, note, session } = {}) => {
+    const now = new Date();
+    const effective = effectiveFrom && new Date(effectiveFrom) > now ? new Date(effectiveFrom) : now;
+    const scheduled = effective > now;
+    if (!scheduled && product.price === newPrice && !product.isNew) return null;
+
+    const change = new PriceChange({
+        product: product._id,
+        oldPrice: scheduled || product.isNew ? undefined : product.price,
+        newPrice,
+        effectiveFrom: effective,
+        status: scheduled ? 'scheduled' : 'applied',
+        appliedAt: scheduled ? undefined : now,
+        source,
+        batch,
+        note,
+        changedBy
+    });
+
+    if (!scheduled) {
+        product.price = newPrice;
+        await product.save({ session });
+    }
+    await change.save({ session });
+    return change;
+};
+
+/**
+ * Apply scheduled price changes whose effective date has arrived, oldest first
+ * Each change is claimed while still scheduled, so one cancelled meanwhile or already
+ * applied by another server instance is skipped
+ * @param {Date} [now] - Cut-off time
+ * @returns {Promise<number>} Number of changes applied
+ */
+export const applyDuePriceChanges = async (now = new Date()) => {
+    const due = await PriceChange.find({ status: 'scheduled', effectiveFrom: { $lte: now } })
+        .select('_id product')
+        .sort({ effectiveFrom: 1, createdAt: 1 });
+
+    let applied = 0;
+    for (const { _id, product: productId } of due) {
+        let claimed = false;
+        await mongoose.connection.transaction(async (session) => {
+            // Changes for products deleted since are cancelled instead
+            const product = await Product.findById(productId).session(session);
+            const change = await PriceChange.findOneAndUpdate(
+                { _id, status: 'scheduled' },
+                product ? { status: 'applied', appliedAt: new Date(), oldPrice: product.price } : { status: 'cancelled' },
+                { new: true, session }
+            );
+            claimed = Boolean(change && product);
+            if (claimed) await Product.updateOne({ _id: product._id }, { price: change.newPrice }, { session });
+        });
+        if (claimed) applied++;
+    }
+    return applied;
+};
+
+/**
+ * Work out a price after a bulk rate change
+ * @param {number} price - Current price
+ * @param {Object} adjustment - { type: 'percent' | 'amount', value, roundTo }; value is negative to lower prices
+ * @returns {number} New price, rounded to the nearest roundTo rupees (default paise)
+ */
+export const adjustPrice = (price, { type, value, roundTo }) => {
+    const raw = type === 'percent' ? price * (1 + value / 100) : price + value;
+    return roundTo ? roundCurrency(Math.round(raw / roundTo) * roundTo) : roundCurrency(raw);
+};
@@ -0,0 +1,219 @@
+import business from '../config/business.js';
+import { roundCurrency } from './gst.js';
+import { formatAmount, formatDate, getRoundOff } from './pdf.js';
+
+// ESC/POS control sequences
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+/**
+ * Characters per line for a paper width, from the receipt config
+ * @param {string|number} [paper] - '58' or '80' (mm); defaults to the configured paper
+ * @returns {number} Columns of the printer's normal font
+ */
+export const getReceiptColumns = (paper) => business.receipt.columns[paper || business.receipt.paper] || business.receipt.columns[80];
+
+/**
+ * Build a UPI payment link that any UPI app can scan
+ * @param {number} amount - Amount to collect
+ * @param {string} note - Transaction note, e.g. the bill number
+ * @returns {string|null} upi://pay link, or null when no UPI ID is configured
+ */
+export const buildUpiLink = (amount, note) => {
+    if (!business.upiId) return null;
+    const params = new URLSearchParams({ pa: business.upiId, pn: business.name, am: amount.toFixed(2), cu: 'INR', tn: note });
+    return `upi://pay?${params.toString()}`;
+};
+
+// Break text into lines of at most width characters, on spaces where possible
+const wrap = (text, width) => {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > width) {
+            if (line) lines.push(line);
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+            line = '';
+        }
+        if (!line) line = word;
+        else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+        else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+};
+
+// Left text and right-aligned text on one line; the left side is cut short if they would overlap
+const pair = (left, right, width) => {
+    const room = Math.max(0, width - right.length - 1);
+    const cut = left.length > room ? left.slice(0, room) : left;
+    return cut + ' '.repeat(width - cut.length - right.length) + right;
+};
+
+// Cells in columns a space apart, the first left-aligned and the rest right-aligned; never cut short
+const columns = (cells, widths) => cells
+    .map((cell, index) => (index === 0 ? String(cell).padEnd(widths[index]) : String(cell).padStart(widths[index])))
+    .join(' ');
+
+/**
+ * Lay out a counter receipt as printer-neutral lines
+ * @param {Object} order - Order to print
+ * @param {number} width - Characters per line
+ * @returns {Array} Lines: { text, align, bold, tall }, { rule }, { qr, caption } or { cut }
+ */
+export const buildReceipt = (order, width) => {
+    const lines = [];
+    const text = (value, style = {}) => lines.push({ text: value, align: 'left', ...style });
+    const centered = (value, style = {}) => wrap(value, width).forEach(line => text(line, { align: 'center', ...style }));
+    const rule = () => lines.push({ rule: true });
+    // Label and amount on one line, or the amount on a line of its own when they don't both fit
+    const priced = (label, amount) => {
+        if (label.length + 1 + amount.length <= width) return text(pair(label, amount, width));
+        text(label);
+        text(amount.padStart(width));
+    };
+
+    // Header
+    centered(business.name, { bold: true, tall: true });
+    business.address.forEach(line => centered(line));
+    if (business.phone) centered(`Ph: ${business.phone}`);
+    if (business.gstin) centered(`GSTIN: ${business.gstin}`);
+    rule();
+    centered(order.invoiceNumber ? 'TAX INVOICE' : 'ORDER RECEIPT', { bold: true });
+    text(pair(`Bill: ${order.invoiceNumber || order.orderNumber}`, formatDate(order.invoicedAt || order.createdAt), width));
+    const billedAt = new Date(order.invoicedAt || order.createdAt);
+    text(pair(order.invoiceNumber ? `Order: ${order.orderNumber}` : '', billedAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }), width));
+    if (order.customer?.name) wrap(`To: ${order.customer.name}${order.customer.phone ? ` (${order.customer.phone})` : ''}`, width).forEach(line => text(line));
+    if (order.customer?.gstin) text(`GSTIN: ${order.customer.gstin}`);
+    rule();
+
+    // Items: name on its own line(s), then quantity x rate, then any discount, so amounts add down to the taxable value
+    order.items.forEach((item, index) => {
+        wrap(`${index + 1}. ${item.productName}`, width).forEach(line => text(line));
+        if (item.serials?.length) wrap(`S/N: ${item.serials.join(', ')}`, width - 2).forEach(line => text(`  ${line}`));
+        priced(`  ${item.quantity} ${item.unit} x ${formatAmount(item.unitPrice)}`, formatAmount(roundCurrency(item.unitPrice * item.quantity)));
+        if (item.discount) text(pair('  Discount', `-${formatAmount(item.discount)}`, width));
+    });
+    rule();
+
+    // GST summary by rate
+    const byRate = new Map();
+    order.items.forEach(item => {
+        const row = byRate.get(item.gstRate) || { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+        row.taxable += item.taxableValue || 0;
+        row.cgst += item.cgstAmount || 0;
+        row.sgst += item.sgstAmount || 0;
+        row.igst += item.igstAmount || 0;
+        byRate.set(item.gstRate, row);
+    });
+    const heading = ['GST%', 'Taxable', ...(order.isInterState ? ['IGST'] : ['CGST', 'SGST'])];
+    const rows = [...byRate.entries()].sort(([a], [b]) => a - b).map(([rate, row]) => [
+        `${rate}%`,
+        formatAmount(roundCurrency(row.taxable)),
+        ...(order.isInterState ? [formatAmount(roundCurrency(row.igst))] : [formatAmount(roundCurrency(row.cgst)), formatAmount(roundCurrency(row.sgst))])
+    ]);
+    const widths = heading.map((_, index) => Math.max(...[heading, ...rows].map(cells => cells[index].length)));
+    const spare = width - widths.reduce((sum, w) => sum + w, 0) - (widths.length - 1);
+    if (spare >= 0) {
+        widths[0] += spare;
+        text(columns(heading, widths), { bold: true });
+        rows.forEach(cells => text(columns(cells, widths)));
+    } else {
+        // Too narrow for a row per rate: the taxable value, then each tax on its own line
+        rows.forEach(([rate, taxable, ...tax]) => {
+            priced(`GST ${rate} on`, taxable);
+            heading.slice(2).forEach((name, index) => priced(`  ${name}`, tax[index]));
+        });
+    }
+    rule();
+
+    // Totals
+    const { roundedTotal, roundOff } = getRoundOff(order.grandTotal);
+    // The ledger's balance, which credit notes have already reduced, rounded to the rupee like the total
+    const due = order.amountDue > 0 ? getRoundOff(order.amountDue).roundedTotal : 0;
+    text(pair('Taxable value', formatAmount(order.totalTaxableValue), width));
+    text(pair('GST', formatAmount(order.totalGst), width));
+    if (roundOff) text(pair('Round off', formatAmount(roundOff), width));
+    text(pair('TOTAL', `Rs ${formatAmount(roundedTotal)}`, width), { bold: true, tall: true });
+    if (order.totalCredited) text(pair('Credit notes', `-${formatAmount(order.totalCredited)}`, width));
+    text(pair(`Paid${order.paymentMethod ? ` (${order.paymentMethod})` : ''}`, formatAmount(order.amountPaid), width));
+    if (due > 0) text(pair('Balance due', formatAmount(due), width), { bold: true });
+
+    // QR for the customer to pay whatever is still due
+    const upiLink = due > 0 ? buildUpiLink(due, order.invoiceNumber || order.orderNumber) : null;
+    if (upiLink) {
+        rule();
+        lines.push({ qr: upiLink, caption: `Scan to pay Rs ${formatAmount(due)} by UPI` });
+    }
+
+    rule();
+    centered(business.receipt.footer);
+    lines.push({ cut: true });
+    return lines;
+};
+
+/**
+ * Render receipt lines as plain fixed-width text for preview
+ * @param {Array} lines - Output of buildReceipt
+ * @param {number} width - Characters per line
+ * @returns {string} Receipt text
+ */
+export const renderReceiptText = (lines, width) => lines.flatMap(line => {
+    if (line.rule) return ['-'.repeat(width)];
+    if (line.cut) return [];
+    if (line.qr) return [...wrap(line.caption, width).map(l => l.padStart(Math.floor((width + l.length) / 2))), '[UPI QR]', ...wrap(line.qr, width)];
+    if (line.align === 'center') return [line.text.padStart(Math.floor((width + line.text.length) / 2))];
+    return [line.text];
+}).join('\n') + '\n';
+
+// Thermal printers use single-byte code pages, so keep to ASCII
+const toBytes = (value) => Buffer.from(String(value).replace(/₹/g, 'Rs').replace(/[^\n\x20-\x7e]/g, '?'), 'ascii');
+
+/**
+ * Render receipt lines as raw ESC/POS bytes for a thermal printer
+ * @param {Array} lines - Output of buildReceipt
+ * @param {number} width - Characters per line
+ * @returns {Buffer} Bytes to send to the printer as-is
+ */
+export const renderReceiptEscPos = (lines, width) => {
+    const chunks = [Buffer.from([ESC, 0x40])];
+    const push = (...bytes) => chunks.push(Buffer.from(bytes));
+
+    lines.forEach(line => {
+        if (line.rule) {
+            push(ESC, 0x61, ALIGN.left);
+            chunks.push(toBytes(`${'-'.repeat(width)}\n`));
+        } else if (line.qr) {
+            push(ESC, 0x61, ALIGN.center);
+            chunks.push(toBytes(`${line.caption}\n`));
+            // QR code, model 2, module size 6, error correction level M
+            const data = toBytes(line.qr);
+            const length = data.length + 3;
+            push(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00);
+            push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06);
+            push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31);
+            push(GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30);
+            chunks.push(data);
+            push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30);
+            push(0x0a);
+        } else if (line.cut) {
+            // Feed past the tear bar, then partial cut
+            push(ESC, 0x64, 0x04);
+            push(GS, 0x56, 0x42, 0x00);
+        } else {
+            push(ESC, 0x61, ALIGN[line.align] ?? ALIGN.left);
+            push(ESC, 0x45, line.bold ? 1 : 0);
+            // Double height only, so the line keeps its width
+            push(GS, 0x21, line.tall ? 0x01 : 0x00);
+            chunks.push(toBytes(`${line.text}\n`));
+            if (line.bold || line.tall) push(ESC, 0x45, 0, GS, 0x21, 0x00);
+        }
+    });
+
+    return Buffer.concat(chunks);
+};
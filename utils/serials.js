@@ -0,0 +1,161 @@
+import Product from '../models/Product.js';
+import SerialNumber from '../models/SerialNumber.js';
+
+/**
+ * Clean up serial numbers as entered: trimmed, upper case, blanks dropped
+ * @param {Array} serials - Serial numbers from the request
+ * @returns {Array} Normalised serial numbers
+ */
+export const normaliseSerials = (serials = []) => serials.map(serial => String(serial).trim().toUpperCase()).filter(Boolean);
+
+/**
+ * Check a list of serials covers a quantity of a serial-tracked product, one each with no repeats
+ * @param {Object} product - Product document
+ * @param {Array} serials - Normalised serial numbers
+ * @param {number} quantity - Units moved
+ * @returns {string|null} Why the serials don't fit, or null when they do
+ */
+export const checkSerialCount = (product, serials, quantity) => {
+    if (!product.serialTracked) return serials.length ? `${product.name} is not serial-tracked` : null;
+    if (new Set(serials).size !== serials.length) return `Serial numbers for ${product.name} are repeated`;
+    if (serials.length !== Number(quantity)) return `${product.name} needs ${quantity} serial number(s), got ${serials.length}`;
+    return null;
+};
+
+/**
+ * Warranty end date for a sale
+ * @param {Date} start - Sale date
+ * @param {number} months - Warranty period in months
+ * @returns {Date|undefined} Last day of cover, or undefined when there is no warranty
+ */
+export const getWarrantyEnd = (start, months) => {
+    if (!months) return undefined;
+    // Month ends clamp, so a sale on 31 January with one month's cover runs to 27 or 28 February
+    const end = new Date(start);
+    const day = end.getDate();
+    end.setDate(1);
+    end.setMonth(end.getMonth() + months);
+    end.setDate(Math.min(day, new Date(end.getFullYear(), end.getMonth() + 1, 0).getDate()) - 1);
+    end.setHours(23, 59, 59, 999);
+    return end;
+};
+
+/**
+ * Register units received on a stock-in
+ * @param {Object} movement - The stock_in StockMovement
+ * @param {Array} serials - Normalised serial numbers, one per unit
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<Array>} The saved SerialNumbers
+ */
+export const receiveSerials = async (movement, serials, session) => {
+    const existing = await SerialNumber.find({ product: movement.product, serial: { $in: serials } }).session(session);
+    if (existing.length) {
+        const error = new Error(`Serial number(s) already recorded: ${existing.map(s => s.serial).join(', ')}`);
+        error.code = 'INVALID_SERIALS';
+        throw error;
+    }
+
+    return SerialNumber.insertMany(serials.map(serial => ({
+        serial,
+        product: movement.product,
+        stockIn: movement._id,
+        receivedAt: movement.createdAt,
+        supplier: movement.supplier
+    })), { session });
+};
+
+/**
+ * Mark the serials on an order's lines as sold and start their warranty
+ * @param {Object} order - Order whose stock is being deducted
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<void>}
+ * @throws {Error} INVALID_SERIALS when a tracked line lacks serials or a unit is already sold
+ */
+export const sellOrderSerials = async (order, session) => {
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } }).session(session);
+    const soldAt = order.invoicedAt || new Date();
+
+    for (const item of order.items) {
+        const product = products.find(p => p._id.equals(item.product));
+        if (!product) continue;
+        const problem = checkSerialCount(product, item.serials || [], item.quantity);
+        if (problem) {
+            const error = new Error(problem);
+            error.code = 'INVALID_SERIALS';
+            throw error;
+        }
+
+        await markSerialsSold(product, item.serials || [], {
+            order: order._id,
+            orderNumber: order.orderNumber,
+            soldAt,
+            customer: { name: order.customer?.name, phone: order.customer?.phone },
+            warrantyMonths: product.warrantyMonths || 0,
+            warrantyStart: soldAt,
+            warrantyEnd: getWarrantyEnd(soldAt, product.warrantyMonths)
+        }, session);
+    }
+};
+
+/**
+ * Mark units of a product as sold with the given sale and warranty details
+ * Units received before serial tracking began are recorded as they are sold
+ * @param {Object} product - Product document
+ * @param {Array} serials - Normalised serial numbers
+ * @param {Object} sale - Fields to set: order or serviceTicket, soldAt, customer and warranty
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<void>}
+ * @throws {Error} INVALID_SERIALS when a unit is already sold
+ */
+export const markSerialsSold = async (product, serials, sale, session) => {
+    for (const serial of serials) {
+        const sold = await SerialNumber.findOneAndUpdate(
+            { serial, product: product._id, status: { $ne: 'sold' } },
+            { $set: { status: 'sold', ...sale } },
+            { new: true, upsert: true, session }
+        ).catch(error => {
+            // The upsert collides with the unique index when the unit is already sold
+            if (error.code !== 11000) throw error;
+            return null;
+        });
+        if (!sold) {
+            const error = new Error(`${product.name} serial ${serial} has already been sold`);
+            error.code = 'INVALID_SERIALS';
+            throw error;
+        }
+    }
+};
+
+// Undo the sale of sold units, ending their warranty, and give them a new status
+const unsellSerials = (filter, status, session) => SerialNumber.updateMany(
+    { ...filter, status: 'sold' },
+    {
+        $set: { status },
+        $unset: { order: 1, orderNumber: 1, serviceTicket: 1, soldAt: 1, customer: 1, warrantyMonths: 1, warrantyStart: 1, warrantyEnd: 1 }
+    },
+    { session }
+);
+
+/**
+ * Put sold units back in stock and end their warranty
+ * @param {Object} filter - Which SerialNumbers to restock
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export const restockSerials = (filter, session) => unsellSerials(filter, 'in_stock', session);
+
+/**
+ * Mark sold units that came back damaged as written off and end their warranty
+ * @param {Object} filter - Which SerialNumbers to write off
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export const writeOffSerials = (filter, session) => unsellSerials(filter, 'written_off', session);
+
+/**
+ * Put an order's units back in stock, e.g. when the order is cancelled
+ * @param {Object} order - Order being restocked
+ * @param {Object} [session] - Mongoose session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export const restockOrderSerials = (order, session) => restockSerials({ order: order._id }, session);
@@ -0,0 +1,30 @@
+import Payment from '../models/Payment.js';
+import { roundCurrency } from './gst.js';
+
+/**
+ * Work out the cash a shift's drawer should hold
+ * Sales and refunds come from active cash payments recorded against the shift
+ * @param {Object} shift - Shift document
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} openingFloat, cashSales, cashRefunds, cashIn, cashOut, expected cash and number of payments
+ */
+export const getShiftTotals = async (shift, session) => {
+    const totals = await Payment.aggregate([
+        { $match: { shift: shift._id, method: 'cash', status: 'active' } },
+        { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]).session(session || null);
+
+    const sum = (type) => totals.find(t => t._id === type)?.total || 0;
+    const moved = (type) => shift.cashMovements.filter(m => m.type === type).reduce((total, m) => total + m.amount, 0);
+
+    const result = {
+        openingFloat: shift.openingFloat,
+        cashSales: roundCurrency(sum('payment')),
+        cashRefunds: roundCurrency(sum('refund')),
+        cashIn: roundCurrency(moved('in')),
+        cashOut: roundCurrency(moved('out')),
+        payments: totals.reduce((count, t) => count + t.count, 0)
+    };
+    result.cash = roundCurrency(result.openingFloat + result.cashSales - result.cashRefunds + result.cashIn - result.cashOut);
+    return result;
+};
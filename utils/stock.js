@@ -0,0 +1,180 @@
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Movement types that always add to or remove from on-hand stock
+const INWARD_TYPES = ['stock_in', 'return'];
+const OUTWARD_TYPES = ['stock_out', 'damage'];
+
+/**
+ * Work out the signed change in on-hand quantity for a movement
+ * @param {string} type - StockMovement type
+ * @param {number} quantity - Quantity moved (always positive)
+ * @param {string} direction - 'in' or 'out', required for adjustments
+ * @returns {number} Signed stock delta
+ * @throws {Error} When an adjustment has no direction, rather than guessing one
+ */
+export const getStockDelta = (type, quantity, direction) => {
+    if (INWARD_TYPES.includes(type)) return quantity;
+    if (OUTWARD_TYPES.includes(type)) return -quantity;
+    if (!['in', 'out'].includes(direction)) throw new Error(`Stock ${type} needs a direction of in or out`);
+    return direction === 'in' ? quantity : -quantity;
+};
+
+/**
+ * Apply a movement to a product's on-hand quantity and write it to the ledger
+ * @param {Object} movementData - Movement details
+ * @param {Object} movementData.product - Product document
+ * @param {string} movementData.type - StockMovement type
+ * @param {number} movementData.quantity - Quantity moved (always positive)
+ * @param {string} [movementData.direction] - 'in' or 'out' for adjustments
+ * @param {boolean} [movementData.allowNegative] - Skip the available stock check
+ * @param {Object} [movementData.session] - Mongoose session for transactions
+ * @returns {Promise<Object>} The saved StockMovement with true balances
+ */
+export const recordStockMovement = async ({ product, type, quantity, direction, allowNegative = false, session, ...details }) => {
+    const delta = getStockDelta(type, quantity, direction);
+
+    // Only decrement when enough stock is on hand, so concurrent
+    // movements can never push the balance below zero
+    const filter = { _id: product._id };
+    if (delta < 0 && !allowNegative) filter.stockQuantity = { $gte: -delta };
+
+    const newBalance = { $add: [{ $ifNull: ['$stockQuantity', 0] }, delta] };
+    const updated = await Product.findOneAndUpdate(filter, [
+        { $set: { stockQuantity: newBalance, inStock: { $gt: [newBalance, 0] } } }
+    ], { new: true, session });
+
+    if (!updated) {
+        // Report the balance the update saw, not the one loaded with the product earlier
+        const current = await Product.findById(product._id).select('stockQuantity').session(session);
+        const error = new Error(`Insufficient stock for ${product.name}. Available: ${current?.stockQuantity || 0}, requested: ${quantity}`);
+        error.code = 'INSUFFICIENT_STOCK';
+        throw error;
+    }
+
+    const movement = new StockMovement({
+        product: product._id,
+        type,
+        quantity,
+        previousStock: updated.stockQuantity - delta,
+        newStock: updated.stockQuantity,
+        ...details
+    });
+    await movement.save({ session });
+
+    product.stockQuantity = updated.stockQuantity;
+    product.inStock = updated.inStock;
+
+    return movement;
+};
+
+/**
+ * Deduct stock for every line item of an order, linking each movement to it
+ * @param {Object} order - Order document (saved by the caller)
+ * @param {Object} options - Deduction options
+ * @param {Object} options.createdBy - User ID recording the movements
+ * @param {boolean} [options.allowNegative] - Bill even when stock is insufficient
+ * @param {Object} [options.session] - Mongoose session for transactions
+ * @returns {Promise<Array>} The saved stock_out movements
+ */
+export const deductOrderStock = async (order, { createdBy, allowNegative = false, session }) => {
+    const movements = [];
+
+    for (const item of order.items) {
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+            const error = new Error(`Product not found: ${item.sku}`);
+            error.code = 'PRODUCT_NOT_FOUND';
+            throw error;
+        }
+
+        movements.push(await recordStockMovement({
+            product,
+            type: 'stock_out',
+            quantity: item.quantity,
+            allowNegative,
+            session,
+            reference: { type: 'order', id: order._id },
+            unitPrice: item.unitPrice,
+            totalValue: item.unitPrice * item.quantity,
+            notes: `Order ${order.orderNumber}`,
+            createdBy
+        }));
+    }
+
+    order.stockDeducted = true;
+    return movements;
+};
+
+/**
+ * Put back everything an order deducted by writing compensating returns
+ * @param {Object} order - Order document (saved by the caller)
+ * @param {Object} options - Restock options
+ * @param {Object} options.createdBy - User ID recording the movements
+ * @param {Object} [options.session] - Mongoose session for transactions
+ * @returns {Promise<Array>} The saved return movements
+ */
+export const restockOrder = async (order, { createdBy, session }) => {
+    const deductions = await StockMovement.find({
+        type: 'stock_out',
+        'reference.type': 'order',
+        'reference.id': order._id
+    }).session(session);
+
+    const movements = [];
+    for (const deduction of deductions) {
+        // Products deleted since the sale have no balance left to restore
+        const product = await Product.findById(deduction.product).session(session);
+        if (!product) continue;
+
+        movements.push(await recordStockMovement({
+            product,
+            type: 'return',
+            quantity: deduction.quantity,
+            session,
+            reference: { type: 'order', id: order._id },
+            unitPrice: deduction.unitPrice,
+            totalValue: deduction.totalValue,
+            notes: `Cancelled order ${order.orderNumber}`,
+            createdBy
+        }));
+    }
+
+    order.stockDeducted = false;
+    return movements;
+};
+
+/**
+ * Take goods returned on a credit note back into stock
+ * Damaged goods are received and then written off, so they never become sellable
+ * @param {Object} creditNote - CreditNote document
+ * @param {Object} options
+ * @param {string} options.createdBy - User ID recording the return
+ * @param {Object} [options.session] - Mongoose session for transactions
+ * @returns {Promise<Array>} StockMovements written
+ */
+export const receiveCreditNoteStock = async (creditNote, { createdBy, session }) => {
+    const movements = [];
+
+    for (const item of creditNote.items) {
+        // Products deleted since the sale have no balance to restore
+        const product = await Product.findById(item.product).session(session);
+        if (!product) continue;
+
+        const details = {
+            product,
+            quantity: item.quantity,
+            session,
+            reference: { type: 'credit_note', id: creditNote._id },
+            unitPrice: item.unitPrice,
+            totalValue: item.unitPrice * item.quantity,
+            createdBy
+        };
+        movements.push(await recordStockMovement({ ...details, type: 'return', notes: `Credit note ${creditNote.creditNoteNumber}` }));
+        if (item.condition === 'damaged') {
+            movements.push(await recordStockMovement({ ...details, type: 'damage', allowNegative: true, notes: `Damaged return, credit note ${creditNote.creditNoteNumber}` }));
+        }
+    }
+
+    return movements;
+};
@@ -0,0 +1,200 @@
+import business from '../config/business.js';
+import { roundCurrency } from './gst.js';
+import { getRoundOff } from './pdf.js';
+
+const { ledgers } = business.tally;
+
+// Voucher kinds that can be exported, with the documents behind them
+export const TALLY_VOUCHER_TYPES = ['sales', 'receipts', 'reversals', 'purchases'];
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Tally dates are YYYYMMDD in the shop's local time
+const tallyDate = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Ledger name for a GST rate, filling in {rate} when the configured name has it
+const ledgerFor = (name, rate) => name.replace(/\{rate\}/g, rate);
+
+// Tally stores debits as negative amounts marked deemed positive
+const ledgerEntry = (name, debit) => [
+    '<ALLLEDGERENTRIES.LIST>',
+    `<LEDGERNAME>${escapeXml(name)}</LEDGERNAME>`,
+    `<ISDEEMEDPOSITIVE>${debit > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+    `<AMOUNT>${(-debit).toFixed(2)}</AMOUNT>`,
+    '</ALLLEDGERENTRIES.LIST>'
+].join('');
+
+// One VOUCHER element; entries are [ledger name, debit amount] with credits negative
+const voucher = ({ type, remoteId, date, number, reference, party, partyGstin, narration, entries }) => [
+    `<VOUCHER REMOTEID="${escapeXml(remoteId)}" VCHTYPE="${type}" ACTION="Create" OBJVIEW="Accounting Voucher View">`,
+    `<DATE>${tallyDate(date)}</DATE>`,
+    `<VOUCHERTYPENAME>${type}</VOUCHERTYPENAME>`,
+    `<VOUCHERNUMBER>${escapeXml(number)}</VOUCHERNUMBER>`,
+    reference ? `<REFERENCE>${escapeXml(reference)}</REFERENCE>` : '',
+    `<PARTYLEDGERNAME>${escapeXml(party)}</PARTYLEDGERNAME>`,
+    partyGstin ? `<PARTYGSTIN>${escapeXml(partyGstin)}</PARTYGSTIN>` : '',
+    narration ? `<NARRATION>${escapeXml(narration)}</NARRATION>` : '',
+    `<PERSISTEDVIEW>Accounting Voucher View</PERSISTEDVIEW>`,
+    ...entries.filter(([, amount]) => amount).map(([name, amount]) => ledgerEntry(name, amount)),
+    '</VOUCHER>'
+].filter(Boolean).join('');
+
+// Keeps REMOTEIDs unique per shop so Tally rejects a voucher it already has
+const remoteIdFor = (kind, id) => `${business.gstin || 'SAS'}-${kind}-${id}`;
+
+/**
+ * Party ledger an order is posted to
+ * @param {Object} order - Order with customerId populated (tallyLedger, name)
+ * @returns {string} Customer account's ledger, the billed name for GST buyers, else the walk-in ledger
+ */
+export const getPartyLedger = (order) => {
+    if (order.customerId?._id) return order.customerId.tallyLedger || order.customerId.name || order.customer.name;
+    if (order.customer?.gstin) return order.customer.name;
+    return ledgers.walkInCustomer;
+};
+
+/**
+ * Sales voucher for an invoiced order: party debited, sales and output GST ledgers credited by rate
+ * @param {Object} order - Invoiced order with customerId populated
+ * @returns {string} VOUCHER XML
+ */
+export const buildSalesVoucher = (order) => {
+    const credits = new Map();
+    const credit = (name, amount) => credits.set(name, (credits.get(name) || 0) + amount);
+    order.items.forEach(item => {
+        credit(ledgerFor(ledgers.sales, item.gstRate), item.taxableValue || 0);
+        if (order.isInterState) credit(ledgerFor(ledgers.igst, item.gstRate), item.igstAmount || 0);
+        else {
+            credit(ledgerFor(ledgers.cgst, item.gstRate / 2), item.cgstAmount || 0);
+            credit(ledgerFor(ledgers.sgst, item.gstRate / 2), item.sgstAmount || 0);
+        }
+    });
+
+    // Round off takes up whatever is left so the voucher always balances to the rounded bill
+    const { roundedTotal } = getRoundOff(order.grandTotal);
+    const entries = [...credits.entries()].map(([name, amount]) => [name, -roundCurrency(amount)]);
+    const roundOff = roundCurrency(roundedTotal + entries.reduce((sum, [, amount]) => sum + amount, 0));
+    const party = getPartyLedger(order);
+
+    return voucher({
+        type: 'Sales',
+        remoteId: remoteIdFor('order', order._id),
+        date: order.invoicedAt,
+        number: order.invoiceNumber,
+        reference: order.orderNumber,
+        party,
+        partyGstin: order.customer?.gstin,
+        narration: `Invoice ${order.invoiceNumber} - ${order.customer?.name}`,
+        entries: [[party, roundedTotal], ...entries, [ledgers.roundOff, -roundOff]]
+    });
+};
+
+/**
+ * Receipt voucher for money received, or a Payment voucher for a refund
+ * @param {Object} payment - Payment with order (and its customerId) populated
+ * @returns {string} VOUCHER XML
+ */
+export const buildReceiptVoucher = (payment) => {
+    const account = payment.method === 'cash' ? ledgers.cash : ledgers.bank;
+    const party = getPartyLedger(payment.order);
+    const amount = roundCurrency(payment.amount);
+    const isRefund = payment.type === 'refund';
+    const bill = payment.order.invoiceNumber || payment.order.orderNumber;
+
+    return voucher({
+        type: isRefund ? 'Payment' : 'Receipt',
+        remoteId: remoteIdFor('payment', payment._id),
+        date: payment.paidAt,
+        number: payment.receiptNumber,
+        reference: payment.referenceNumber,
+        party,
+        narration: `${isRefund ? 'Refund against' : 'Received against'} ${bill} by ${payment.method}`,
+        entries: isRefund ? [[party, amount], [account, -amount]] : [[account, amount], [party, -amount]]
+    });
+};
+
+/**
+ * Reverse an exported receipt or refund that was voided afterwards, dated the day it was voided
+ * @param {Object} payment - Voided Payment with order (and its customerId) populated
+ * @returns {string} VOUCHER XML
+ */
+export const buildReversalVoucher = (payment) => {
+    const account = payment.method === 'cash' ? ledgers.cash : ledgers.bank;
+    const party = getPartyLedger(payment.order);
+    const amount = roundCurrency(payment.amount);
+    const isRefund = payment.type === 'refund';
+
+    return voucher({
+        type: isRefund ? 'Receipt' : 'Payment',
+        remoteId: remoteIdFor('payment-void', payment._id),
+        date: payment.voidedAt,
+        number: `${payment.receiptNumber}-VOID`,
+        reference: payment.receiptNumber,
+        party,
+        narration: `Reversal of ${payment.receiptNumber}${payment.voidReason ? `: ${payment.voidReason}` : ''}`,
+        entries: isRefund ? [[account, amount], [party, -amount]] : [[party, amount], [account, -amount]]
+    });
+};
+
+/**
+ * Purchase voucher for the stock-in lines of one supplier bill
+ * @param {Array} movements - stock_in movements sharing a supplier and bill number, with product populated
+ * @returns {string|null} VOUCHER XML, or null for a bill with no value, which Tally would reject as empty
+ */
+export const buildPurchaseVoucher = (movements) => {
+    const [first] = movements;
+    const party = first.supplier?.name || ledgers.supplier;
+    const total = roundCurrency(movements.reduce((sum, m) => sum + (m.totalValue ?? (m.unitPrice || 0) * m.quantity), 0));
+    if (!total) return null;
+    const lines = movements.map(m => `${m.product?.name || 'Product'} x ${m.quantity} @ ${m.unitPrice || 0}`);
+
+    return voucher({
+        type: 'Purchase',
+        remoteId: remoteIdFor('purchase', first._id),
+        date: first.createdAt,
+        number: first.supplier?.invoiceNo || String(first._id),
+        reference: first.supplier?.invoiceNo,
+        party,
+        narration: lines.join('; '),
+        entries: [[ledgers.purchase, total], [party, -total]]
+    });
+};
+
+/**
+ * Stock-in movements grouped into one purchase per supplier bill; lines without a bill number stand alone
+ * @param {Array} movements - stock_in movements
+ * @returns {Array} Arrays of movements, one per purchase voucher
+ */
+export const groupPurchases = (movements) => Object.values(movements.reduce((groups, m) => {
+    const key = m.supplier?.invoiceNo ? `${m.supplier.name || ''}|${m.supplier.invoiceNo}` : String(m._id);
+    (groups[key] = groups[key] || []).push(m);
+    return groups;
+}, {}));
+
+/**
+ * Wrap vouchers in a Tally import envelope
+ * @param {Array} vouchers - VOUCHER XML strings
+ * @returns {string} XML for Tally's Import Data (Gateway of Tally > Import > Vouchers)
+ */
+export const buildTallyXml = (vouchers) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>',
+    '<BODY><IMPORTDATA>',
+    '<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>',
+    business.tally.company ? `<STATICVARIABLES><SVCURRENTCOMPANY>${escapeXml(business.tally.company)}</SVCURRENTCOMPANY></STATICVARIABLES>` : '',
+    '</REQUESTDESC>',
+    '<REQUESTDATA>',
+    ...vouchers.map(v => `<TALLYMESSAGE xmlns:UDF="TallyUDF">${v}</TALLYMESSAGE>`),
+    '</REQUESTDATA>',
+    '</IMPORTDATA></BODY>',
+    '</ENVELOPE>'
+].filter(Boolean).join('\n');